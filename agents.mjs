@@ -0,0 +1,213 @@
+import { OpenAI } from 'openai';
+import { getOpenAICommonOptions } from './utils.mjs';
+import { flattenToolMessages } from './converter.mjs';
+import { estimateRequestTokens } from './tokens.mjs';
+import { callWithFallbacks } from './limiter.mjs';
+import { adaptRequest, pinTargets, resolveAgentChain, resolveTarget } from './models.mjs';
+import { describeImages, preferVisionTargets, prepareImages } from './images.mjs';
+import { getConfig } from './config.mjs';
+import { logger } from './logger.mjs';
+
+/**
+ * 라우터 모드 에이전트 정의
+ *
+ * 설정 파일(config.mjs)에 agents가 있으면 그 목록으로, 없으면 환경변수(TOOL_AGENT_* / CODER_AGENT_* /
+ * THINK_AGENT_*)로 기본 에이전트(use-tool / coder / thinker)를 구성
+ *   agents:
+ *     - name: reviewer
+ *       description: Reviews code written so far and points out bugs   # 라우터에게 보여줄 설명
+ *       routingHint: If the code needs a review, use the 'reviewer' router.  # 라우터 프롬프트에 추가 (선택)
+ *       provider: deepseek                  # providers / PROVIDERS에 정의된 provider (기본 'openai')
+ *       model: deepseek-chat
+ *       fallbacks: [{ provider: openai, model: gpt-4.1 }]
+ *       systemPrompt: You are a code reviewer...   # 대화 끝에 system 메시지로 추가
+ *       tools: false            # false면 tools를 빼고 tool 호출 / 결과를 텍스트로 변환 (기본 true)
+ *       final: false            # false면 결과를 대화에 추가하고 다음 hop으로 (기본값은 tools와 같음)
+ *       resultAsThinking: false # 중간 결과를 thinking 블록으로 전달
+ *       normalize:
+ *         stringifyContent: true  # 배열 content를 JSON 문자열로 변환
+ *         alternateRoles: true    # user / assistant 역할이 번갈아 나오도록 조정
+ *   router: { provider: qwen, model: qwen2.5-coder-3b-instruct, fallbacks: [] }  # 에이전트를 고르는 LLM 라우터
+ */
+
+const DEFAULT_AGENTS = [
+  {
+    name: 'use-tool',
+    envPrefix: 'TOOL_AGENT',
+    description: `This agent can call user-specified tools to perform tasks. The user provides a list of tools to be used, and the agent integrates these tools to complete the specified tasks efficiently. The agent follows user instructions and ensures proper tool utilization for each request`,
+    routingHint: `If external tools are needed to gather more information, use the 'use-tool' router.`,
+    systemPrompt:
+      'You need to select the appropriate tool for the task based on the user’s request. Review the requirements and choose the tool that fits the task best.',
+    tools: true
+  },
+  {
+    name: 'coder',
+    envPrefix: 'CODER_AGENT',
+    description: `This agent is solely responsible for helping users write code. This agent could not call tools. This agent is used for writing and modifying code when the user provides clear and specific coding requirements. For example, tasks like implementing a quicksort algorithm in JavaScript or creating an HTML layout. If the user's request is unclear or cannot be directly translated into code, please route the task to 'Thinker' first for clarification or further processing.`,
+    routingHint: `If the task involves writing code, use the 'coder' router.`,
+    systemPrompt:
+      'You are a code writer who helps users write code based on their specific requirements. You create algorithms, implement functionality, and build structures according to the clear instructions provided by the user. Your focus is solely on writing code, ensuring that the task is completed accurately and efficiently.',
+    tools: false,
+    normalize: { stringifyContent: true }
+  },
+  {
+    name: 'thinker',
+    envPrefix: 'THINK_AGENT',
+    description: `This agent is used solely for complex reasoning and thinking tasks. It should not be called for information retrieval or repetitive, frequent requests. Only use this agent for tasks that require deep analysis or problem-solving. If there is an existing result from the Thinker agent, do not call this agent again.`,
+    routingHint: `If deep reasoning or analysis is required to break down steps, use the 'thinker' router.`,
+    tools: false,
+    resultAsThinking: true,
+    normalize: { stringifyContent: true, alternateRoles: true }
+  }
+];
+
+/**
+ * fallback 체인을 따라 chat.completions.create 호출 (업스트림별 제한 / 재시도)
+ * @param {string} label 로그에 표시할 에이전트 이름
+ * @param {object[]} targets resolveTarget 형식의 업스트림 대상 목록
+ * @param {object} params model을 제외한 요청 파라미터
+ * @param {object} [upstream] 실제로 응답한 provider / model을 기록할 객체
+ * @param {{ signal?: AbortSignal }} [options] signal: 클라이언트 연결이 끊기면 업스트림 호출 취소
+ */
+export async function createCompletion(label, targets, params, upstream = {}, { signal } = {}) {
+  const { result, target } = await callWithFallbacks(
+    targets,
+    {
+      tokens: estimateRequestTokens(params),
+      labels: { mode: 'router', agent: label },
+      signal,
+      stream: Boolean(params.stream)
+    },
+    async (target, attemptSignal) => {
+      const client = new OpenAI({
+        apiKey: target.apiKey,
+        baseURL: target.baseURL,
+        ...getOpenAICommonOptions()
+      });
+      // 이미지는 대상 모델에 맞게 읽기 / 축소하거나 설명으로 대체
+      return client.chat.completions.create(
+        adaptRequest(await prepareImages({ ...params, model: target.model }, target), target),
+        { signal: attemptSignal }
+      );
+    }
+  );
+  logger.debug('agent upstream selected', {
+    agent: label,
+    upstream: `${target.provider}/${target.model}`
+  });
+  upstream.provider = target.provider;
+  upstream.model = target.model;
+  return result;
+}
+
+/**
+ * 설정의 { provider, model, fallbacks } 또는 환경변수 접두사로 업스트림 대상 목록 생성
+ */
+function getTargets(definition) {
+  if (definition.envPrefix) return resolveAgentChain(definition.envPrefix);
+  const fallbacks = Array.isArray(definition.fallbacks) ? definition.fallbacks : [];
+  return [definition, ...fallbacks].map(resolveTarget);
+}
+
+/**
+ * 에이전트 설정에 따라 메시지 정규화 (원본 메시지는 변경하지 않음)
+ */
+function normalizeMessages(messages, { tools, normalize = {} }) {
+  let result = JSON.parse(JSON.stringify(messages));
+  if (!tools) {
+    // tool을 사용할 수 없으므로 tool_calls / tool 메시지를 텍스트로 변환
+    result = flattenToolMessages(result);
+  }
+  if (normalize.stringifyContent) {
+    result.forEach(msg => {
+      if (Array.isArray(msg.content)) {
+        msg.content = JSON.stringify(msg.content);
+      }
+    });
+  }
+  if (normalize.alternateRoles) {
+    let startIdx = result.findIndex(msg => msg.role !== 'system');
+    if (startIdx === -1) startIdx = result.length;
+
+    for (let i = startIdx; i < result.length; i++) {
+      result[i].role = (i - startIdx) % 2 === 0 ? 'user' : 'assistant';
+    }
+
+    if (result.length > 0 && result[result.length - 1].role === 'assistant') {
+      result.push({
+        role: 'user',
+        content: 'Please follow the instructions provided above to resolve the issue.'
+      });
+    }
+  }
+  return result;
+}
+
+/**
+ * 에이전트 정의로 Router가 사용하는 에이전트 생성
+ */
+export function createAgent(definition) {
+  if (!definition?.name) {
+    throw new Error('agent requires a name');
+  }
+  const tools = definition.tools ?? true;
+  const agent = {
+    name: definition.name,
+    description: definition.description || '',
+    routingHint: definition.routingHint,
+    tools,
+    final: definition.final ?? tools,
+    resultAsThinking: definition.resultAsThinking ?? false,
+    getTargets: () => getTargets(definition),
+    async run(args, upstream, options) {
+      const params = { ...args };
+      if (!tools) {
+        delete params.tools;
+        delete params.tool_choice;
+        delete params.parallel_tool_calls;
+      }
+      // content를 JSON 문자열로 바꾸면 이미지를 볼 수 없으므로 먼저 설명으로 대체
+      const messages = definition.normalize?.stringifyContent
+        ? await describeImages(args.messages)
+        : args.messages;
+      params.messages = normalizeMessages(messages, {
+        tools,
+        normalize: definition.normalize
+      });
+      if (definition.systemPrompt) {
+        params.messages.push({ role: 'system', content: definition.systemPrompt });
+      }
+      // 이미지가 있으면 vision 모델을 먼저 시도, pinned가 있으면 그 대상으로만
+      const targets = pinTargets(
+        preferVisionTargets(agent.getTargets(), params.messages),
+        options?.pinned
+      );
+      return createCompletion(agent.name, targets, params, upstream, options);
+    }
+  };
+  return agent;
+}
+
+/**
+ * 설정 파일 또는 환경변수 기본값으로 에이전트 목록 생성
+ */
+export function loadAgents() {
+  const { agents } = getConfig();
+  const definitions = agents ?? DEFAULT_AGENTS;
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    throw new Error('agents must be an array with at least one agent');
+  }
+  const result = definitions.map(createAgent);
+  if (!result.some(agent => agent.final)) {
+    throw new Error('at least one agent that makes the final response (final: true) is required');
+  }
+  return result;
+}
+
+/**
+ * 에이전트를 고르는 LLM 라우터의 업스트림 대상 목록
+ */
+export function getRouterTargets() {
+  const { router } = getConfig();
+  return getTargets(router ?? { envPrefix: 'ROUTER_AGENT' });
+}
@@ -0,0 +1,114 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { getConfig } from './config.mjs';
+import { patternToRegExp } from './models.mjs';
+import { RequestError, sendAnthropicError } from './errors.mjs';
+import { logger } from './logger.mjs';
+
+/**
+ * 프록시 클라이언트 인증 (x-api-key 또는 Authorization: Bearer)
+ *
+ * 설정 파일의 auth.keys: 키별 이름, 허용 모델(요청된 Claude 모델 이름 패턴, * 와일드카드), 라우팅 프로필
+ *   auth:
+ *     keys:
+ *       - { name: alice, key: '${ALICE_PROXY_KEY}' }
+ *       - { name: ci, key: '${CI_PROXY_KEY}', models: ['*haiku*'], profile: cheap }
+ *       - { name: ops, key: '${OPS_PROXY_KEY}', admin: true }   # /usage에서 모든 클라이언트의 사용량 조회
+ *   profiles:
+ *     cheap: { mode: normal, modelMap: { default: deepseek-chat } }   # mode / modelMap / rules를 덮어씀
+ * PROXY_API_KEYS: 제한 없는 클라이언트 키 목록 (쉼표로 구분)
+ * 키가 하나도 없으면 인증하지 않음 (localhost에서만 사용하는 경우)
+ */
+
+// 인증을 사용하지 않으면 모든 요청이 관리자 권한의 익명 클라이언트
+const ANONYMOUS = Object.freeze({ name: 'anonymous', models: null, profile: {}, admin: true });
+
+/**
+ * 설정 파일과 PROXY_API_KEYS의 클라이언트 키 목록
+ * @returns {{ name: string, key: string, models?: string[], profile?: string }[]}
+ */
+export function getClientKeys() {
+  const envKeys = (process.env.PROXY_API_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean)
+    .map((key, index) => ({ name: `env-${index + 1}`, key }));
+  return [...(getConfig().auth?.keys ?? []), ...envKeys];
+}
+
+/**
+ * 인증이 필요한지 여부 (클라이언트 키가 하나 이상 있으면 필요)
+ */
+export function isAuthEnabled() {
+  return getClientKeys().length > 0;
+}
+
+function digest(value) {
+  return createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * 요청 헤더의 클라이언트 키 (x-api-key 우선, 없으면 Authorization: Bearer)
+ */
+function getRequestKey(req) {
+  const apiKey = req.get('x-api-key');
+  if (apiKey) return apiKey;
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * 요청의 클라이언트 키를 확인하여 클라이언트 정보 반환
+ * @returns {{ name: string, models: string[] | null, profile: object, admin: boolean }}
+ * @throws {RequestError} 키가 없거나 일치하지 않으면 401
+ */
+export function authenticate(req) {
+  const keys = getClientKeys();
+  if (keys.length === 0) return ANONYMOUS;
+
+  const requestKey = getRequestKey(req);
+  if (!requestKey) {
+    throw new RequestError(401, 'an x-api-key or Authorization: Bearer header is required');
+  }
+  // 길이와 관계없이 일정한 시간에 비교하도록 해시끼리 비교
+  const requestDigest = digest(requestKey);
+  const matched = keys.find(entry => timingSafeEqual(digest(entry.key), requestDigest));
+  if (!matched) {
+    throw new RequestError(401, 'invalid API key');
+  }
+  return {
+    name: matched.name ?? 'client',
+    models: matched.models ?? null,
+    profile: (matched.profile && getConfig().profiles?.[matched.profile]) || {},
+    admin: matched.admin ?? false
+  };
+}
+
+/**
+ * 클라이언트가 요청한 모델을 사용할 수 있는지 확인
+ * @throws {RequestError} 허용되지 않은 모델이면 403
+ */
+export function assertModelAllowed(client, model) {
+  if (!client.models) return;
+  const name = String(model || '');
+  if (!client.models.some(pattern => patternToRegExp(pattern).test(name))) {
+    throw new RequestError(403, `this API key is not allowed to use the model ${name}`);
+  }
+}
+
+/**
+ * 클라이언트 키를 확인하고 req.client에 클라이언트 정보를 넣는 express 미들웨어
+ */
+export function requireAuth(req, res, next) {
+  try {
+    req.client = authenticate(req);
+  } catch (error) {
+    logger.warn('client authentication failed', {
+      requestId: req.requestId,
+      path: req.path,
+      error: error.message
+    });
+    sendAnthropicError(res, error);
+    return;
+  }
+  next();
+}
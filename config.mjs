@@ -0,0 +1,267 @@
+import { existsSync, readFileSync, watch } from 'fs';
+import { basename, dirname, extname, resolve } from 'path';
+import { clearTimeout, setTimeout } from 'timers';
+import YAML from 'yaml';
+import { CONFIG_SCHEMA, validate } from './schema.mjs';
+import { readNumberEnv } from './utils.mjs';
+import { logger } from './logger.mjs';
+
+/**
+ * 설정 파일 (JSON / YAML)
+ *
+ * CONFIG_FILE: 설정 파일 경로 (기본: 현재 디렉터리의 config.json / config.yaml / config.yml 중 먼저 있는 것)
+ * 문자열 값의 ${ENV_NAME}은 환경변수 값으로 치환되므로 API 키를 파일에 직접 쓰지 않아도 됨
+ *   providers:
+ *     deepseek: { baseURL: https://api.deepseek.com, apiKey: '${DEEPSEEK_API_KEY}' }
+ * 파일이 없으면 빈 설정({})으로 동작하고 기존 환경변수 설정을 사용
+ *
+ * 파일은 변경을 감시하여 다시 읽음: 스키마(schema.mjs) 검증을 통과한 설정으로만 통째로 교체하고,
+ * 잘못된 수정이면 에러를 출력하고 마지막으로 정상이었던 설정을 계속 사용
+ */
+
+const DEFAULT_CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml'];
+// 편집기가 저장할 때 여러 번 발생하는 변경 이벤트를 한 번으로 모음
+const RELOAD_DEBOUNCE_MS = 200;
+
+let current;
+const listeners = new Set();
+
+/**
+ * 사용할 설정 파일 경로 (없으면 null)
+ */
+export function getConfigPath() {
+  if (process.env.CONFIG_FILE) return resolve(process.env.CONFIG_FILE);
+  const found = DEFAULT_CONFIG_FILES.map(file => resolve(file)).find(path => existsSync(path));
+  return found ?? null;
+}
+
+/**
+ * 문자열 값의 ${ENV_NAME}을 환경변수 값으로 치환 (정의되지 않은 변수는 빈 문자열)
+ */
+function expandEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] ?? '');
+  }
+  if (Array.isArray(value)) return value.map(expandEnv);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item)]));
+  }
+  return value;
+}
+
+/**
+ * 스키마로 표현하기 어려운 설정 간 참조 검사
+ */
+function checkReferences(config) {
+  const errors = [];
+  let envProviders = {};
+  try {
+    envProviders = JSON.parse(process.env.PROVIDERS || '{}');
+  } catch {
+    // PROVIDERS 파싱 실패는 models.mjs에서 경고
+  }
+  const providers = new Set([
+    'openai',
+    ...Object.keys(envProviders),
+    ...Object.keys(config.providers ?? {})
+  ]);
+  const checkProvider = (target, path) => {
+    if (
+      target &&
+      typeof target === 'object' &&
+      target.provider &&
+      !providers.has(target.provider)
+    ) {
+      errors.push(`${path}.provider: unknown provider (${target.provider})`);
+    }
+  };
+
+  Object.entries(config.modelMap ?? {}).forEach(([key, entry]) => {
+    const entries = Array.isArray(entry) ? entry : [entry];
+    entries.forEach((target, index) =>
+      checkProvider(target, Array.isArray(entry) ? `modelMap.${key}[${index}]` : `modelMap.${key}`)
+    );
+  });
+  const visionModel = config.images?.visionModel;
+  (Array.isArray(visionModel) ? visionModel : [visionModel]).forEach((target, index) =>
+    checkProvider(
+      target,
+      Array.isArray(visionModel) ? `images.visionModel[${index}]` : 'images.visionModel'
+    )
+  );
+  if (config.router) {
+    checkProvider(config.router, 'router');
+    config.router.fallbacks?.forEach((target, index) =>
+      checkProvider(target, `router.fallbacks[${index}]`)
+    );
+  }
+  if (config.agents) {
+    const names = new Set();
+    config.agents.forEach((agent, index) => {
+      checkProvider(agent, `agents[${index}]`);
+      agent.fallbacks?.forEach((target, fallbackIndex) =>
+        checkProvider(target, `agents[${index}].fallbacks[${fallbackIndex}]`)
+      );
+      if (names.has(agent.name)) {
+        errors.push(`agents[${index}].name: duplicate name (${agent.name})`);
+      }
+      names.add(agent.name);
+    });
+    if (!config.agents.some(agent => agent.final ?? agent.tools ?? true)) {
+      errors.push(
+        'agents: at least one agent that makes the final response (final: true) is required'
+      );
+    }
+  }
+  Object.entries(config.profiles ?? {}).forEach(([name, profile]) => {
+    Object.entries(profile.modelMap ?? {}).forEach(([key, entry]) => {
+      const entries = Array.isArray(entry) ? entry : [entry];
+      entries.forEach(target => checkProvider(target, `profiles.${name}.modelMap.${key}`));
+    });
+  });
+  const keys = new Set();
+  config.auth?.keys?.forEach((entry, index) => {
+    if (!entry.key) {
+      errors.push(`auth.keys[${index}].key: is empty (check that the environment variable is set)`);
+    } else if (keys.has(entry.key)) {
+      errors.push(`auth.keys[${index}].key: duplicate key`);
+    }
+    keys.add(entry.key);
+    if (entry.profile && !config.profiles?.[entry.profile]) {
+      errors.push(`auth.keys[${index}].profile: unknown profile (${entry.profile})`);
+    }
+  });
+  config.budgets?.forEach((budget, index) => {
+    if (budget.daily === undefined && budget.monthly === undefined) {
+      errors.push(`budgets[${index}]: daily or monthly is required`);
+    }
+    if (budget.action === 'downgrade' && !budget.downgradeTo) {
+      errors.push(`budgets[${index}].downgradeTo: is required when action is downgrade`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * 설정 파일 내용 파싱 및 검증 (.yaml / .yml은 YAML, 나머지는 JSON)
+ * 검증에 실패하면 모든 에러를 담은 Error를 던짐
+ */
+export function parseConfig(text, path) {
+  const ext = extname(path).toLowerCase();
+  const parsed = ext === '.yaml' || ext === '.yml' ? YAML.parse(text) : JSON.parse(text);
+  const config = expandEnv(parsed ?? {});
+  const errors = validate(config, CONFIG_SCHEMA);
+  if (errors.length === 0) errors.push(...checkReferences(config));
+  if (errors.length > 0) {
+    throw new Error(`invalid config:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+}
+
+function loadConfigFile() {
+  const path = getConfigPath();
+  if (!path) return {};
+  try {
+    return parseConfig(readFileSync(path, 'utf8'), path);
+  } catch (e) {
+    throw new Error(`failed to read config file ${path}: ${e.message}`);
+  }
+}
+
+/**
+ * 현재 설정 (처음 호출할 때 읽음, 이후에는 마지막으로 정상이었던 설정)
+ */
+export function getConfig() {
+  current ??= loadConfigFile();
+  return current;
+}
+
+/**
+ * 설정이 바뀌었을 때 호출할 함수 등록, listener가 에러를 던지면 이전 설정으로 되돌림
+ * @param {(config: object, previous: object) => void} listener
+ */
+export function onConfigChange(listener) {
+  listeners.add(listener);
+}
+
+/**
+ * 설정 파일을 다시 읽어 교체
+ * @returns {boolean} 새 설정을 적용했는지 여부
+ */
+export function reloadConfig() {
+  const previous = getConfig();
+  let next;
+  try {
+    next = loadConfigFile();
+  } catch (e) {
+    logger.error('config reload failed, keeping the previous config', { error: e.message });
+    return false;
+  }
+  current = next;
+  try {
+    listeners.forEach(listener => listener(next, previous));
+  } catch (e) {
+    current = previous;
+    logger.error('applying new config failed, keeping the previous config', {
+      error: e.message
+    });
+    return false;
+  }
+  logger.info('config reloaded', { path: getConfigPath() });
+  return true;
+}
+
+/**
+ * 설정 파일 변경 감시 시작 (편집기의 교체 저장도 감지하도록 디렉터리를 감시)
+ * CONFIG_FILE이 없으면 현재 디렉터리의 기본 파일 이름들을 감시하므로 시작 후에 만든 설정 파일도 읽음
+ */
+export function watchConfig() {
+  const configFile = process.env.CONFIG_FILE ? resolve(process.env.CONFIG_FILE) : null;
+  const dir = configFile ? dirname(configFile) : resolve('.');
+  const names = configFile ? [basename(configFile)] : DEFAULT_CONFIG_FILES;
+  let timer = null;
+  const watcher = watch(dir, (event, filename) => {
+    if (!names.includes(filename)) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const path = getConfigPath();
+      if (path && existsSync(path)) reloadConfig();
+    }, RELOAD_DEBOUNCE_MS);
+  });
+  logger.info('watching config file', { dir, files: names });
+  return watcher;
+}
+
+/**
+ * 서버 설정 (설정 파일의 server > 환경변수 PORT / HOST / BODY_LIMIT > 기본값)
+ * @returns {{ port: number, host: string, bodyLimit: string | number }}
+ */
+export function getServerOptions() {
+  const server = getConfig().server ?? {};
+  return {
+    port: server.port ?? readNumberEnv('PORT', 3456),
+    // 외부에서 접속하려면 0.0.0.0 등으로 명시적으로 설정해야 함
+    host: server.host ?? (process.env.HOST || '127.0.0.1'),
+    bodyLimit: server.bodyLimit ?? (process.env.BODY_LIMIT || '500mb')
+  };
+}
+
+/**
+ * 라우터 모드 여부 (클라이언트 키의 라우팅 프로필 mode > 설정 파일의 mode > ENABLE_ROUTER)
+ * @param {{ mode?: string }} [profile]
+ */
+export function isRouterMode(profile = {}) {
+  const mode = profile.mode ?? getConfig().mode;
+  if (mode) return mode === 'router';
+  return process.env.ENABLE_ROUTER === 'true';
+}
+
+/**
+ * 라우터 모드를 쓰는 설정이 하나라도 있는지 (기본 mode 또는 라우팅 프로필)
+ */
+export function usesRouterMode() {
+  return (
+    isRouterMode() ||
+    Object.values(getConfig().profiles ?? {}).some(profile => profile.mode === 'router')
+  );
+}
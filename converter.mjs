@@ -0,0 +1,379 @@
+/**
+ * Anthropic Messages 형식 <-> OpenAI Chat Completions 형식 변환
+ */
+import { sanitizeJson } from './utils.mjs';
+import { createToolNameMap, selectTools } from './tools.mjs';
+import { logger } from './logger.mjs';
+
+/**
+ * 업스트림 tool call id를 Anthropic tool_use id(toolu_)로 변환
+ */
+export function toAnthropicToolId(id, fallbackIndex = 0) {
+  if (!id) return `toolu_${Date.now()}_${fallbackIndex}`;
+  return id.startsWith('toolu_') ? id : `toolu_${id}`;
+}
+
+/**
+ * Claude image / image_url 파트를 OpenAI image_url 파트로 변환 (지원 불가 시 text 파트)
+ */
+export function convertImagePart(it) {
+  // 이미지 URL 확인 - 다양한 형식 지원
+  let imageUrl = '';
+
+  // Claude의 다양한 이미지 형식 처리
+  if (it?.type === 'image' && it?.source) {
+    // Claude의 image 타입 처리
+    if (it.source.type === 'base64' && it.source.data) {
+      // base64 데이터를 data URL로 변환
+      const mediaType = it.source.media_type || 'image/png';
+      imageUrl = `data:${mediaType};base64,${it.source.data}`;
+    } else if (it.source.type === 'url' && it.source.url) {
+      imageUrl = it.source.url;
+    } else if (it.source.data) {
+      // 이미 data URL 형식인 경우
+      imageUrl = it.source.data;
+    }
+  } else if (it?.image_url?.url) {
+    // image_url 타입
+    imageUrl = it.image_url.url;
+  } else if (it?.url) {
+    // 단순 url 속성
+    imageUrl = it.url;
+  }
+
+  // 이미지 URL이 비어있는 경우
+  if (!imageUrl) {
+    logger.warn('image part without url', { type: it?.type, sourceType: it?.source?.type });
+    return {
+      type: 'text',
+      text: '[Image not found. Check that the image was uploaded correctly.]'
+    };
+  }
+
+  // data: / http(s): / file:// URL은 그대로 전달
+  // 업스트림 대상별 처리(로컬 파일 읽기, 축소 / 재인코딩, vision 미지원 모델의 설명 대체)는 images.mjs의 prepareImages
+  if (
+    imageUrl.startsWith('data:') ||
+    imageUrl.startsWith('http') ||
+    imageUrl.startsWith('file://')
+  ) {
+    // data URL은 로거가 길이만 남김
+    logger.debug('image part converted', { url: imageUrl });
+    return {
+      type: 'image_url',
+      image_url: {
+        url: imageUrl,
+        detail: 'auto' // OpenRouter 권장 설정
+      }
+    };
+  }
+
+  // 기타 형식의 이미지는 텍스트로 변환
+  logger.warn('unsupported image url', { url: imageUrl.slice(0, 100) });
+  return {
+    type: 'text',
+    text: '[Unsupported image format]'
+  };
+}
+
+function isImagePart(it) {
+  return it?.type === 'image_url' || it?.type === 'image';
+}
+
+/**
+ * 이미지가 아닌 기타 파트를 text 파트로 변환 (기존 로직)
+ */
+function convertTextPart(it) {
+  const msg = {
+    ...it,
+    type: 'text'
+  };
+  msg.text = it?.content ? JSON.stringify(it.content) : it?.text || '';
+  delete msg.content;
+  return msg;
+}
+
+/**
+ * tool_result의 content를 tool 메시지용 텍스트와 별도로 전달할 이미지 파트로 분리
+ */
+function convertToolResultContent(block) {
+  const parts =
+    typeof block.content === 'string'
+      ? [{ type: 'text', text: block.content }]
+      : Array.isArray(block.content)
+        ? block.content
+        : [];
+
+  const texts = [];
+  const images = [];
+  for (const part of parts) {
+    if (isImagePart(part)) {
+      const converted = convertImagePart(part);
+      if (converted.type === 'image_url') {
+        images.push(converted);
+      } else {
+        texts.push(converted.text);
+      }
+    } else if (part?.type === 'text') {
+      texts.push(part.text || '');
+    } else if (part) {
+      texts.push(JSON.stringify(part));
+    }
+  }
+
+  let text = texts.join('\n');
+  if (block.is_error) {
+    text = `Error: ${text}`;
+  }
+  if (!text) {
+    text =
+      images.length > 0 ? '[Image results are attached in the next message]' : '(empty result)';
+  }
+  return { text, images };
+}
+
+/**
+ * assistant 메시지: text는 content로, tool_use는 tool_calls로 변환
+ */
+function convertAssistantMessage(content, toolNames) {
+  const texts = [];
+  const toolCalls = [];
+  for (const it of content) {
+    if (it?.type === 'tool_use') {
+      toolCalls.push({
+        id: it.id,
+        type: 'function',
+        function: {
+          name: toolNames.toUpstream(it.name),
+          arguments: JSON.stringify(it.input ?? {})
+        }
+      });
+    } else if (it?.type === 'text') {
+      texts.push(it.text || '');
+    }
+    // thinking / redacted_thinking 블록은 업스트림으로 전달하지 않음
+  }
+
+  const message = {
+    role: 'assistant',
+    content: texts.length > 0 ? texts.join('') : null
+  };
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls;
+  }
+  return message;
+}
+
+/**
+ * user 메시지: tool_result는 role 'tool' 메시지로, 나머지는 user 메시지로 변환
+ * OpenAI는 tool 메시지가 assistant tool_calls 바로 뒤에 와야 하므로 tool 메시지를 먼저 배치
+ */
+function convertUserMessage(role, content) {
+  const toolMessages = [];
+  const toolImages = [];
+  const parts = [];
+
+  for (const it of content) {
+    if (it?.type === 'tool_result') {
+      const { text, images } = convertToolResultContent(it);
+      toolMessages.push({
+        role: 'tool',
+        tool_call_id: it.tool_use_id,
+        content: text
+      });
+      if (images.length > 0) {
+        toolImages.push({ type: 'text', text: `[Result images of ${it.tool_use_id}]` }, ...images);
+      }
+    } else if (isImagePart(it)) {
+      parts.push(convertImagePart(it));
+    } else {
+      parts.push(convertTextPart(it));
+    }
+  }
+
+  // tool 메시지는 이미지를 담을 수 없으므로 user 메시지로 함께 전달
+  const userParts = [...toolImages, ...parts];
+  const result = [...toolMessages];
+  if (userParts.length > 0) {
+    result.push({ role, content: userParts });
+  }
+  return result;
+}
+
+/**
+ * Anthropic messages 배열을 OpenAI messages 배열로 변환
+ * @param {ReturnType<typeof createToolNameMap>} [toolNames] 요청의 도구 이름 매핑
+ */
+export function convertMessages(messages, toolNames = createToolNameMap()) {
+  return messages.flatMap(item => {
+    if (!Array.isArray(item.content)) {
+      return [{ role: item.role, content: item.content }];
+    }
+    if (item.role === 'assistant') {
+      return [convertAssistantMessage(item.content, toolNames)];
+    }
+    return convertUserMessage(item.role, item.content);
+  });
+}
+
+/**
+ * tool 호출을 지원하지 않는 에이전트를 위해 tool_calls / tool 메시지를 일반 텍스트로 변환
+ */
+export function flattenToolMessages(messages) {
+  return messages.map(msg => {
+    if (msg.role === 'tool') {
+      return {
+        role: 'user',
+        content: `Tool result (${msg.tool_call_id}): ${msg.content}`
+      };
+    }
+    if (msg.role === 'assistant' && Array.isArray(msg.tool_calls)) {
+      const calls = msg.tool_calls
+        .map(call => `Tool call (${call.id}): ${call.function.name}(${call.function.arguments})`)
+        .join('\n');
+      return {
+        role: 'assistant',
+        content: [msg.content, calls].filter(Boolean).join('\n')
+      };
+    }
+    return msg;
+  });
+}
+
+/**
+ * Anthropic tools를 OpenAI function tools로 변환 (제외 / 개수 제한은 tools.mjs의 selectTools)
+ * @param {ReturnType<typeof createToolNameMap>} [toolNames] 요청의 도구 이름 매핑
+ */
+export function convertTools(tools, toolNames = createToolNameMap()) {
+  return tools.map(item => {
+    // input_schema를 안전하게 JSON으로 변환
+    let schema =
+      item.input_schema && typeof item.input_schema === 'object'
+        ? sanitizeJson(item.input_schema)
+        : {};
+    if (schema && typeof schema === 'object' && '$schema' in schema) {
+      delete schema['$schema'];
+    }
+    return {
+      type: 'function',
+      function: {
+        name: toolNames.toUpstream(item.name),
+        description: item.description,
+        parameters: schema
+      }
+    };
+  });
+}
+
+/**
+ * Anthropic thinking 파라미터({ type: 'enabled', budget_tokens })를 OpenAI reasoning_effort로 변환
+ * provider별 형식 차이는 models.mjs의 adaptRequest에서 처리
+ */
+export function toReasoningEffort(thinking) {
+  if (thinking?.type !== 'enabled') return undefined;
+  const budget = thinking.budget_tokens || 0;
+  if (budget < 4096) return 'low';
+  if (budget < 16384) return 'medium';
+  return 'high';
+}
+
+/**
+ * Anthropic tool_choice를 OpenAI tool_choice / parallel_tool_calls로 변환
+ *   auto -> 'auto', any -> 'required', tool -> { type: 'function', function: { name } }, none -> 'none'
+ *   disable_parallel_tool_use: true -> parallel_tool_calls: false
+ */
+export function convertToolChoice(toolChoice, toolNames = createToolNameMap()) {
+  if (!toolChoice || typeof toolChoice !== 'object') return {};
+  const parallel = toolChoice.disable_parallel_tool_use ? { parallel_tool_calls: false } : {};
+  switch (toolChoice.type) {
+    case 'auto':
+      return { tool_choice: 'auto', ...parallel };
+    case 'any':
+      return { tool_choice: 'required', ...parallel };
+    case 'tool':
+      if (!toolChoice.name) return parallel;
+      return {
+        tool_choice: {
+          type: 'function',
+          function: { name: toolNames.toUpstream(toolChoice.name) }
+        },
+        ...parallel
+      };
+    case 'none':
+      return { tool_choice: 'none' };
+    default:
+      logger.warn('unknown tool_choice type', { type: toolChoice.type });
+      return parallel;
+  }
+}
+
+/**
+ * 값이 있는 샘플링 / 출력 제한 파라미터만 OpenAI 이름으로 변환
+ * max_tokens -> max_tokens, stop_sequences -> stop, top_p / top_k -> top_p / top_k, metadata.user_id -> user
+ * provider별 지원 여부 / 범위는 models.mjs의 adaptRequest에서 처리
+ */
+function convertSamplingParams(body) {
+  const params = {};
+  if (Number.isFinite(body.max_tokens)) params.max_tokens = body.max_tokens;
+  if (Array.isArray(body.stop_sequences) && body.stop_sequences.length > 0) {
+    params.stop = body.stop_sequences.filter(value => typeof value === 'string');
+  }
+  if (Number.isFinite(body.top_p)) params.top_p = body.top_p;
+  if (Number.isFinite(body.top_k)) params.top_k = body.top_k;
+  if (typeof body.metadata?.user_id === 'string' && body.metadata.user_id) {
+    params.user = body.metadata.user_id;
+  }
+  return params;
+}
+
+/**
+ * Anthropic /v1/messages 요청 본문을 OpenAI chat.completions 요청으로 변환
+ * (/v1/messages와 /v1/messages/count_tokens가 같은 변환을 사용)
+ * @param {object} body
+ * @param {{ toolNames?: ReturnType<typeof createToolNameMap> }} [options]
+ *   toolNames: 응답의 tool_use 이름을 원래대로 돌려놓을 때 쓸 도구 이름 매핑 (없으면 새로 만듦)
+ */
+export function convertRequest(body, { toolNames = createToolNameMap() } = {}) {
+  let { model, messages, system = [], temperature, tools, stream = false, thinking } = body;
+  // map 호출 전 배열 보장
+  messages = Array.isArray(messages) ? messages : [];
+  tools = selectTools(Array.isArray(tools) ? tools : [], {
+    messages,
+    toolChoice: body.tool_choice
+  });
+  // 이름을 바꿀 필요가 없는 도구부터 등록하여, 이름이 겹칠 때 원래 이름을 우선 유지
+  toolNames.register(tools.map(tool => tool.name));
+  if (typeof system === 'string') {
+    system = [{ type: 'text', text: system }];
+  }
+  system = Array.isArray(system) ? system : [];
+
+  // messages, system, tools 모두 새 객체로 깊은 복사
+  const safeSystem = system.map(item => ({
+    role: 'system',
+    content: item.text
+  }));
+  // Anthropic 메시지(tool_use / tool_result 포함)를 OpenAI 메시지로 변환
+  const safeMessages = JSON.parse(JSON.stringify(convertMessages(messages, toolNames)));
+  const safeTools = convertTools(tools, toolNames);
+  // tools가 없으면 tool_choice를 보내지 않음 (업스트림 400 방지)
+  const toolChoice = safeTools.length > 0 ? convertToolChoice(body.tool_choice, toolNames) : {};
+  const forcedName = toolChoice.tool_choice?.function?.name;
+  if (forcedName && !safeTools.some(tool => tool.function.name === forcedName)) {
+    logger.warn('tool_choice names a tool that is not sent upstream', { name: forcedName });
+    delete toolChoice.tool_choice;
+  }
+
+  return Object.freeze({
+    model,
+    messages: [...safeSystem, ...safeMessages],
+    temperature,
+    stream: stream === true,
+    // 스트림 마지막 chunk로 실제 usage를 받기 위해 요청
+    ...(stream === true ? { stream_options: { include_usage: true } } : {}),
+    tools: safeTools,
+    ...convertSamplingParams(body),
+    ...toolChoice,
+    ...(toReasoningEffort(thinking) ? { reasoning_effort: toReasoningEffort(thinking) } : {})
+  });
+}
@@ -0,0 +1,157 @@
+/**
+ * 업스트림 실패를 Anthropic 에러 형식({ type: 'error', error: { type, message } })으로 변환
+ */
+
+/**
+ * 업스트림 HTTP 에러 (status / retry-after 보존)
+ */
+export class UpstreamError extends Error {
+  /**
+   * @param {number} status 업스트림 HTTP 상태 코드
+   * @param {string} message 업스트림 응답 본문 또는 메시지
+   * @param {{ retryAfter?: string | null }} [options]
+   */
+  constructor(status, message, { retryAfter = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * 프록시 자체에서 거부한 요청 (인증 / 권한 등)
+ */
+export class RequestError extends Error {
+  /**
+   * @param {number} status 응답할 HTTP 상태 코드
+   * @param {string} message
+   * @param {{ retryAfter?: string | null }} [options]
+   */
+  constructor(status, message, { retryAfter = null } = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const TIMEOUT_PHASES = {
+  connect: 'connect',
+  'first-token': 'first token',
+  idle: 'stream idle'
+};
+
+/**
+ * 업스트림 연결 / 첫 토큰 / 스트림 대기 시간 초과 (504로 취급하여 재시도 / fallback 대상)
+ */
+export class UpstreamTimeoutError extends Error {
+  /**
+   * @param {'connect' | 'first-token' | 'idle'} phase
+   * @param {number} timeoutMs
+   */
+  constructor(phase, timeoutMs) {
+    super(`upstream ${TIMEOUT_PHASES[phase] ?? phase} timeout (${timeoutMs}ms)`);
+    this.name = 'UpstreamTimeoutError';
+    this.status = 504;
+    this.phase = phase;
+  }
+}
+
+/**
+ * 복구 / 교정 요청 후에도 모델이 보낸 tool call 인자가 input_schema와 맞지 않음
+ * (422, 이미 비용이 든 응답을 클라이언트가 그대로 재시도하지 않도록 invalid_request_error로 응답)
+ * 스트리밍 응답은 이미 200으로 시작했으므로 상태 코드 없이 message_start 뒤의 event: error(invalid_request_error)로만 전달됨
+ */
+export class InvalidToolCallError extends Error {
+  /**
+   * @param {{ name: string, errors: string[] }[]} toolCalls 인자가 잘못된 tool call
+   */
+  constructor(toolCalls) {
+    super(
+      `tool call arguments from the model do not match input_schema: ${toolCalls
+        .flatMap(call => call.errors)
+        .join('; ')}`
+    );
+    this.name = 'InvalidToolCallError';
+    this.status = 422;
+    this.tools = toolCalls.map(call => call.name);
+  }
+}
+
+// HTTP 상태 코드 -> Anthropic 에러 타입
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  500: 'api_error',
+  529: 'overloaded_error'
+};
+
+function getErrorType(status) {
+  if (ERROR_TYPES[status]) return ERROR_TYPES[status];
+  // 502 / 503 / 504는 클라이언트가 재시도하도록 overloaded로 전달
+  if (status >= 502 && status <= 504) return 'overloaded_error';
+  if (status >= 500) return 'api_error';
+  return 'invalid_request_error';
+}
+
+/**
+ * 업스트림 응답 본문이 JSON이면 error.message만 추출
+ */
+function extractMessage(message) {
+  try {
+    const parsed = JSON.parse(message);
+    return parsed?.error?.message || parsed?.message || message;
+  } catch {
+    return message;
+  }
+}
+
+/**
+ * 임의의 에러를 HTTP 상태 / Anthropic 에러 본문 / retry-after로 변환
+ * UpstreamError와 OpenAI SDK APIError(status, headers)를 모두 처리
+ */
+export function toAnthropicError(error) {
+  const status = Number.isInteger(error?.status) ? error.status : 500;
+  const retryAfter =
+    error?.retryAfter ??
+    (typeof error?.headers?.get === 'function'
+      ? error.headers.get('retry-after')
+      : error?.headers?.['retry-after']) ??
+    null;
+  // 업스트림 502~504는 Anthropic과 같이 529(overloaded)로 응답
+  const type = getErrorType(status);
+  return {
+    status: type === 'overloaded_error' ? 529 : status,
+    retryAfter,
+    body: {
+      type: 'error',
+      error: {
+        type,
+        message: extractMessage(error?.message || 'Unknown error')
+      }
+    }
+  };
+}
+
+/**
+ * 에러 응답 전송: SSE가 이미 시작됐으면 event: error 프레임으로, 아니면 HTTP 에러로 응답
+ */
+export function sendAnthropicError(res, error) {
+  const { status, retryAfter, body } = toAnthropicError(error);
+  if (res.headersSent) {
+    if (!res.writableEnded) {
+      res.write(`event: error\ndata: ${JSON.stringify(body)}\n\n`);
+      res.end();
+    }
+    return;
+  }
+  if (retryAfter) {
+    res.setHeader('retry-after', retryAfter);
+  }
+  res.status(status).json(body);
+}
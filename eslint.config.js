@@ -10,7 +10,8 @@ export default [
       sourceType: 'module',
       globals: {
         process: 'readonly',
-        console: 'readonly'
+        console: 'readonly',
+        AbortController: 'readonly'
       }
     },
     rules: {}
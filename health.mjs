@@ -0,0 +1,119 @@
+import { clearTimeout, setTimeout } from 'timers';
+import fetch from 'node-fetch';
+import { getRouterTargets, loadAgents } from './agents.mjs';
+import { authenticate } from './auth.mjs';
+import { usesRouterMode } from './config.mjs';
+import { getProviders } from './models.mjs';
+import { readNumberEnv } from './utils.mjs';
+import { logger } from './logger.mjs';
+
+/**
+ * /readyz의 업스트림 확인: base URL이 있는 provider마다 GET {baseURL}/models
+ * 라우터 모드면 LLM 라우터 / 에이전트 대상(환경변수 TOOL_AGENT_* 등으로 정의한 것 포함)도 확인
+ *
+ * READYZ_PROBE_UPSTREAMS=true면 항상 확인, 아니면 클라이언트 키로 인증된 /readyz?probe=true 요청일 때만 확인
+ * READYZ_TIMEOUT_MS: provider별 응답 대기 시간 (기본 5000)
+ * 결과는 잠시 재사용하여 자주 호출되는 readiness probe가 업스트림에 부하를 주지 않도록 함
+ */
+
+const PROBE_CACHE_MS = 10 * 1000;
+
+let lastProbe = null;
+let pendingProbe = null;
+
+async function probeProvider({ baseURL, apiKey }) {
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), readNumberEnv('READYZ_TIMEOUT_MS', 5000));
+  try {
+    const response = await fetch(`${baseURL.replace(/\/+$/, '')}/models`, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      signal: controller.signal
+    });
+    return { ok: response.ok, status: response.status, latencyMs: Date.now() - startedAt };
+  } catch (e) {
+    return {
+      ok: false,
+      error: e.name === 'AbortError' ? 'timeout' : e.message,
+      latencyMs: Date.now() - startedAt
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 확인할 업스트림 (이름 -> { baseURL, apiKey }, 같은 이름은 한 번만)
+ */
+function getProbeTargets() {
+  const targets = new Map(Object.entries(getProviders()));
+  if (usesRouterMode()) {
+    const agentTargets = [
+      ...getRouterTargets(),
+      ...loadAgents().flatMap(agent => agent.getTargets())
+    ];
+    for (const target of agentTargets) {
+      if (!targets.get(target.provider)?.baseURL) targets.set(target.provider, target);
+    }
+  }
+  return [...targets].filter(([, target]) => target?.baseURL);
+}
+
+async function runProbe() {
+  let targets;
+  try {
+    targets = getProbeTargets();
+  } catch (e) {
+    // 에이전트 / 라우터 대상의 provider가 정의되지 않은 경우 등
+    logger.warn('upstream readiness probe failed', { error: e.message });
+    return { ok: false, upstreams: { agents: { ok: false, error: e.message, latencyMs: 0 } } };
+  }
+  const results = await Promise.all(
+    targets.map(async ([name, target]) => [name, await probeProvider(target)])
+  );
+  const upstreams = Object.fromEntries(results);
+  const failed = results.filter(([, result]) => !result.ok).map(([name]) => name);
+  if (failed.length > 0) {
+    logger.warn('upstream readiness probe failed', { providers: failed });
+  }
+  return { ok: failed.length === 0, upstreams };
+}
+
+function isTrue(value) {
+  return ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+}
+
+/**
+ * 업스트림 확인 여부 (READYZ_PROBE_UPSTREAMS 또는 인증된 요청의 probe 파라미터)
+ * probe 파라미터는 모든 업스트림에 요청을 보내게 하므로 클라이언트 키가 없거나 틀리면 무시
+ */
+export function shouldProbeUpstreams(req) {
+  if (req.query.probe !== undefined) {
+    try {
+      authenticate(req);
+      return isTrue(req.query.probe);
+    } catch (e) {
+      logger.warn('ignoring readiness probe parameter of an unauthenticated request', {
+        error: e.message
+      });
+    }
+  }
+  return isTrue(process.env.READYZ_PROBE_UPSTREAMS);
+}
+
+/**
+ * 설정된 업스트림에 연결할 수 있는지 확인 (동시 호출은 같은 결과를 공유)
+ * @returns {Promise<{ ok: boolean, upstreams: Record<string, { ok: boolean, status?: number, error?: string, latencyMs: number }> }>}
+ */
+export async function probeUpstreams() {
+  if (lastProbe && Date.now() - lastProbe.at < PROBE_CACHE_MS) return lastProbe.result;
+  pendingProbe ??= runProbe()
+    .then(result => {
+      lastProbe = { at: Date.now(), result };
+      return result;
+    })
+    .finally(() => {
+      pendingProbe = null;
+    });
+  return pendingProbe;
+}
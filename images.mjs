@@ -0,0 +1,386 @@
+import { Buffer } from 'buffer';
+import { createHash } from 'crypto';
+import { lookup } from 'dns';
+import { realpath, stat, readFile } from 'fs/promises';
+import http from 'http';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+import { homedir } from 'os';
+import path from 'path';
+import { URL, fileURLToPath } from 'url';
+import { clearTimeout, setTimeout } from 'timers';
+import fetch from 'node-fetch';
+import sharp from 'sharp';
+import { getConfig } from './config.mjs';
+import { getVisionSupport, resolveModelChain } from './models.mjs';
+import { readNumberEnv } from './utils.mjs';
+import { logger } from './logger.mjs';
+
+/**
+ * 요청 이미지 준비: 업스트림 대상별로 file:// 이미지 읽기, 크기 / 형식 제한에 맞게 축소 / 재인코딩,
+ * 이미지를 볼 수 없는 모델에는 설명 텍스트로 대체 (모델별 vision 선언은 models.mjs의 getVisionSupport)
+ * 원격 이미지를 직접 받을 때는 사설 / 루프백 / 링크 로컬 주소로 가는 요청(리다이렉트 포함)을 막음
+ *
+ * 설정 파일의 images (없으면 환경변수)
+ *   images:
+ *     allowedDirs: ['~/Pictures', './screenshots']  # file:// 이미지를 읽을 수 있는 디렉터리 (IMAGE_ALLOWED_DIRS, 기본: 없음)
+ *     maxFileBytes: 20971520   # 읽거나 받아 올 원본 이미지 최대 크기 (IMAGE_MAX_FILE_BYTES)
+ *     visionModel: { provider: openai, model: gpt-4.1-mini }  # 모델 체인에 vision 모델이 없을 때 사용 (VISION_MODEL)
+ */
+
+const DEFAULT_MAX_FILE_BYTES = 20 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 10 * 1000;
+const MAX_REDIRECTS = 3;
+// 원격 이미지로 접근할 수 없는 주소 대역 (프록시가 있는 내부망 / 클라우드 메타데이터 등)
+const BLOCKED_ADDRESSES = new BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+// 크기 제한을 맞출 때까지 시도할 재인코딩 단계 (JPEG 품질, 긴 변 배율)
+const ENCODE_STEPS = [
+  { quality: 85, scale: 1 },
+  { quality: 70, scale: 1 },
+  { quality: 70, scale: 0.75 },
+  { quality: 60, scale: 0.5 },
+  { quality: 50, scale: 0.35 }
+];
+// 같은 이미지를 fallback / 라우터 hop마다 다시 처리하지 않도록 최근 결과를 잠시 보관
+// (같은 경로의 로컬 파일이 바뀔 수 있으므로 오래 두지 않음)
+const MAX_CACHED_IMAGES = 32;
+const CACHE_TTL_MS = 60 * 1000;
+
+const cache = new Map();
+
+/**
+ * file:// 허용 디렉터리 / 원본 최대 크기 / vision 모델
+ */
+export function getImageOptions() {
+  const images = getConfig().images ?? {};
+  const allowedDirs =
+    images.allowedDirs ?? (process.env.IMAGE_ALLOWED_DIRS || '').split(path.delimiter);
+  return {
+    allowedDirs: allowedDirs.filter(Boolean),
+    maxFileBytes:
+      images.maxFileBytes ?? readNumberEnv('IMAGE_MAX_FILE_BYTES', DEFAULT_MAX_FILE_BYTES),
+    visionModel: images.visionModel ?? parseVisionModelEnv()
+  };
+}
+
+function parseVisionModelEnv() {
+  const value = process.env.VISION_MODEL;
+  if (!value) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch {
+    // 모델 이름만 준 경우
+    return value;
+  }
+}
+
+/**
+ * OpenAI messages에 image_url 파트가 있는지
+ */
+export function hasImages(messages) {
+  return (messages ?? []).some(
+    message =>
+      Array.isArray(message?.content) && message.content.some(part => part?.type === 'image_url')
+  );
+}
+
+/**
+ * 이미지가 있는 요청은 vision 모델을 먼저 시도하도록 대상 순서 조정
+ * 체인에 vision 모델이 없으면 images.visionModel / VISION_MODEL을 앞에 추가 (없으면 이미지를 설명으로 대체)
+ * @param {object[]} targets resolveTarget 형식의 업스트림 대상 목록
+ * @param {object[]} messages OpenAI messages
+ */
+export function preferVisionTargets(targets, messages) {
+  if (!hasImages(messages)) return targets;
+  const vision = targets.filter(target => getVisionSupport(target));
+  if (vision.length > 0) {
+    return [...vision, ...targets.filter(target => !vision.includes(target))];
+  }
+  const { visionModel } = getImageOptions();
+  if (visionModel) {
+    const chain = resolveModelChain('default', { default: visionModel });
+    logger.info('image request routed to vision model', {
+      upstream: `${chain[0].provider}/${chain[0].model}`
+    });
+    return [...chain, ...targets];
+  }
+  logger.warn('no vision model for image request, images are replaced with descriptions', {
+    upstreams: targets.map(target => `${target.provider}/${target.model}`)
+  });
+  return targets;
+}
+
+function isInside(dir, file) {
+  const relative = path.relative(dir, file);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function expandHome(dir) {
+  return dir === '~' || dir.startsWith('~/') ? path.join(homedir(), dir.slice(1)) : dir;
+}
+
+/**
+ * 허용 디렉터리 안의 로컬 이미지 파일 읽기 (심볼릭 링크는 실제 경로로 확인)
+ */
+async function readLocalImage(url, { allowedDirs, maxFileBytes }) {
+  const file = await realpath(fileURLToPath(url));
+  const dirs = await Promise.all(
+    allowedDirs.map(dir => realpath(path.resolve(expandHome(dir))).catch(() => null))
+  );
+  if (!dirs.some(dir => dir && isInside(dir, file))) {
+    throw new Error(
+      'file is outside the allowed directories (images.allowedDirs / IMAGE_ALLOWED_DIRS)'
+    );
+  }
+  const info = await stat(file);
+  if (!info.isFile()) throw new Error('not a file');
+  if (info.size > maxFileBytes) throw new Error(`file is too large (${info.size} bytes)`);
+  return readFile(file);
+}
+
+// IPv4-mapped IPv6 주소(::ffff:127.0.0.1)는 BlockList가 IPv4 대역으로 확인
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * 이름을 해석한 주소가 막힌 대역이면 연결하지 않음 (해석 후 바뀌는 DNS도 연결 시점에 확인)
+ */
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(
+        new Error(`images from internal addresses are not allowed (${blocked.address})`)
+      );
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicAgents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * 원격 이미지 받기 (base64만 받는 provider용)
+ * 리다이렉트는 직접 따라가며 매번 주소를 확인
+ */
+async function fetchImage(url, { maxFileBytes }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    let current = new URL(url);
+    for (let redirects = 0; ; redirects++) {
+      if (!/^https?:$/.test(current.protocol)) {
+        throw new Error(`unsupported protocol: ${current.protocol}`);
+      }
+      // IP 주소로 준 호스트는 이름 해석을 거치지 않으므로 여기서 확인
+      const host = current.hostname.replace(/^\[|\]$/g, '');
+      if (isIP(host) && isBlockedAddress(host)) {
+        throw new Error(`images from internal addresses are not allowed (${host})`);
+      }
+      const response = await fetch(current, {
+        signal: controller.signal,
+        size: maxFileBytes,
+        redirect: 'manual',
+        agent: publicAgents[current.protocol]
+      });
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        if (redirects >= MAX_REDIRECTS) throw new Error('too many redirects');
+        current = new URL(location, current);
+        continue;
+      }
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return Buffer.from(await response.arrayBuffer());
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * image_url의 원본 바이트 (data: / file:// / http(s)://)
+ */
+async function loadImage(url, options) {
+  if (url.startsWith('data:')) {
+    const comma = url.indexOf(',');
+    const isBase64 = /;base64$/i.test(url.slice(0, comma));
+    const data = url.slice(comma + 1);
+    return isBase64 ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data));
+  }
+  if (url.startsWith('file://')) return readLocalImage(url, options);
+  return fetchImage(url, options);
+}
+
+function toDataUrl(buffer, format) {
+  return `data:image/${format};base64,${buffer.toString('base64')}`;
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)}MB`
+    : `${Math.ceil(bytes / 1024)}KB`;
+}
+
+/**
+ * 크기 / 형식 제한에 맞는 data URL (이미 맞으면 그대로, 아니면 긴 변을 줄이고 JPEG / PNG로 재인코딩)
+ */
+async function fitImage(buffer, metadata, vision) {
+  const mediaType = `image/${metadata.format}`;
+  const longSide = Math.max(metadata.width || 0, metadata.height || 0);
+  if (
+    vision.formats.includes(mediaType) &&
+    buffer.length <= vision.maxBytes &&
+    longSide <= vision.maxDimension
+  ) {
+    return toDataUrl(buffer, metadata.format);
+  }
+  // 투명도가 있고 PNG를 받으면 PNG, 아니면 JPEG
+  const format = metadata.hasAlpha && vision.formats.includes('image/png') ? 'png' : 'jpeg';
+  const maxSide = Math.min(longSide || vision.maxDimension, vision.maxDimension);
+  for (const { quality, scale } of ENCODE_STEPS) {
+    const size = Math.max(1, Math.round(maxSide * scale));
+    const image = sharp(buffer).rotate().resize(size, size, {
+      fit: 'inside',
+      withoutEnlargement: true
+    });
+    const output = await (
+      format === 'png'
+        ? image.png({ compressionLevel: 9, palette: scale < 1 })
+        : image.flatten({ background: '#ffffff' }).jpeg({ quality })
+    ).toBuffer();
+    if (output.length <= vision.maxBytes) {
+      logger.info('image re-encoded for upstream', {
+        from: `${metadata.format} ${metadata.width}x${metadata.height} ${formatBytes(buffer.length)}`,
+        to: `${format} ${formatBytes(output.length)}`
+      });
+      return toDataUrl(output, format);
+    }
+  }
+  throw new Error(`cannot be reduced to ${formatBytes(vision.maxBytes)} or less`);
+}
+
+function describe(label, metadata, bytes) {
+  const details = metadata
+    ? `${metadata.format}, ${metadata.width}x${metadata.height}, ${formatBytes(bytes)}`
+    : '';
+  return `[Image${label ? `: ${label}` : ''}${details ? ` (${details})` : ''} - replaced with a description because this model cannot see images]`;
+}
+
+function imageLabel(url) {
+  if (url.startsWith('data:')) return '';
+  try {
+    return path.basename(new URL(url).pathname) || url;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * image_url 파트 하나를 대상 모델에 맞게 변환 (줄일 수 없으면 설명 text 파트, 읽지 못하면 reject)
+ * @param {object} part
+ * @param {object | null} vision getVisionSupport 결과 (null이면 설명 텍스트로 대체)
+ */
+async function prepareImagePart(part, vision) {
+  const url = String(part.image_url?.url || '');
+  const isRemote = /^https?:\/\//i.test(url);
+  // 원격 URL을 그대로 받는 모델이면 받지 않고 전달
+  if (isRemote && vision?.remoteUrls) return part;
+  if (isRemote && !vision) return { type: 'text', text: describe(url) };
+
+  const options = getImageOptions();
+  let buffer;
+  let metadata;
+  try {
+    buffer = await loadImage(url, options);
+    metadata = await sharp(buffer).metadata();
+  } catch (e) {
+    logger.warn('image could not be loaded', { url: url.slice(0, 200), error: e.message });
+    throw e;
+  }
+  if (!vision) return { type: 'text', text: describe(imageLabel(url), metadata, buffer.length) };
+  try {
+    return {
+      ...part,
+      image_url: { ...part.image_url, url: await fitImage(buffer, metadata, vision) }
+    };
+  } catch (e) {
+    logger.warn('image does not fit upstream limits', { error: e.message });
+    return { type: 'text', text: describe(imageLabel(url), metadata, buffer.length) };
+  }
+}
+
+function getCached(part, vision) {
+  const key = createHash('sha256')
+    .update(`${part.image_url?.url}\n${JSON.stringify(vision)}`)
+    .digest('hex');
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.at < CACHE_TTL_MS) return cached.result;
+  cache.delete(key);
+  const entry = { at: Date.now() };
+  entry.result = prepareImagePart(part, vision).catch(e => {
+    // 일시적인 실패일 수 있으므로 읽지 못한 결과는 보관하지 않고 다음 요청에서 다시 시도
+    if (cache.get(key) === entry) cache.delete(key);
+    const url = String(part.image_url?.url || '');
+    return { type: 'text', text: `[Could not read image: ${imageLabel(url)} - ${e.message}]` };
+  });
+  cache.set(key, entry);
+  while (cache.size > MAX_CACHED_IMAGES) cache.delete(cache.keys().next().value);
+  return entry.result;
+}
+
+async function prepareMessages(messages, vision) {
+  return Promise.all(
+    messages.map(async message => {
+      if (!Array.isArray(message?.content)) return message;
+      const content = await Promise.all(
+        message.content.map(part => (part?.type === 'image_url' ? getCached(part, vision) : part))
+      );
+      return { ...message, content };
+    })
+  );
+}
+
+/**
+ * 업스트림 대상에 맞게 요청의 이미지 준비 (이미지가 없으면 그대로)
+ * @param {object} params OpenAI 형식 요청
+ * @param {object} target resolveTarget 형식의 업스트림 대상
+ */
+export async function prepareImages(params, target) {
+  if (!hasImages(params.messages)) return params;
+  return { ...params, messages: await prepareMessages(params.messages, getVisionSupport(target)) };
+}
+
+/**
+ * 모든 이미지를 설명 텍스트로 대체 (content를 JSON 문자열로 바꾸는 에이전트 등)
+ */
+export async function describeImages(messages) {
+  return hasImages(messages) ? prepareMessages(messages, null) : messages;
+}
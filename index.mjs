@@ -1,505 +1,552 @@
 import express from 'express';
 import dotenv from 'dotenv';
 import { existsSync } from 'fs';
+import { randomUUID } from 'crypto';
 import { writeFile } from 'fs/promises';
 import { Router } from './router.mjs';
-import { sanitizeJson } from './utils.mjs';
+import { convertRequest } from './converter.mjs';
+import {
+  buildCorrectionRequest,
+  createToolNameMap,
+  getToolOptions,
+  getToolSchemas
+} from './tools.mjs';
+import { StreamTranslator, completionToChunks, prefetchFirstChunk } from './stream.mjs';
+import { estimateRequestTokens } from './tokens.mjs';
+import { hasImages, preferVisionTargets, prepareImages } from './images.mjs';
+import { adaptRequest, pinTargets, resolveModel, resolveModelChain } from './models.mjs';
+import {
+  InvalidToolCallError,
+  RequestError,
+  UpstreamError,
+  sendAnthropicError
+} from './errors.mjs';
+import { callWithFallbacks } from './limiter.mjs';
+import {
+  getServerOptions,
+  isRouterMode,
+  onConfigChange,
+  usesRouterMode,
+  watchConfig
+} from './config.mjs';
+import { assertModelAllowed, isAuthEnabled, requireAuth } from './auth.mjs';
+import { isDebugEnabled, logger, withRequestContext } from './logger.mjs';
+import { metrics, renderMetrics } from './metrics.mjs';
+import { probeUpstreams, shouldProbeUpstreams } from './health.mjs';
+import { callsFromTrace, checkBudget, loadUsage, recordUsage, summarizeUsage } from './usage.mjs';
 import fetch from 'node-fetch';
 import { TextDecoder } from 'util';
+import { clearInterval, setInterval } from 'timers';
+import { readNumberEnv } from './utils.mjs';
 
 dotenv.config();
 
 const app = express();
-const port = 3456;
-app.use(express.json({ limit: '500mb' }));
-
-let client;
-if (process.env.ENABLE_ROUTER && process.env.ENABLE_ROUTER === 'true') {
-  const router = new Router();
-  client = {
-    call: data => {
-      return router.route(data);
-    }
-  };
-} else {
-  client = {
-    call: async data => {
-      console.log('🔎 OpenAI API 호출 파라미터:');
-      console.log(data);
-
-      // OpenRouter에서 지원하지 않는 Claude 모델들을 DeepSeek으로 강제 변경
-      const supportedModel = process.env.OPENAI_MODEL || 'google/gemini-2.5-pro-preview';
-      const newData = {
-        ...data,
-        model: supportedModel // 항상 환경변수의 지원되는 모델 사용
-      };
-      console.log('🔎 실제 API 호출 모델:', newData.model);
-      console.log('🔎 원본 요청 모델:', data.model);
-
-      // 메시지에 이미지가 포함되어 있는지 확인
-      const hasImage = newData.messages?.some(
-        msg => Array.isArray(msg.content) && msg.content.some(part => part.type === 'image_url')
-      );
-
-      // 헤더 준비
-      const headers = {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        'HTTP-Referer': 'https://claude-code-copilot-router.local',
-        'X-Title': 'Claude Code Copilot Router'
-      };
-
-      // 이미지가 포함된 경우 비전 헤더 추가
-      if (hasImage) {
-        headers['Copilot-Vision-Request'] = 'true';
-        console.log('🖼️ 비전 요청 헤더 추가됨');
-      }
 
-      // OpenRouter API에 직접 HTTP 요청 (OpenAI SDK 헤더 문제 해결)
-      const response = await fetch(process.env.OPENAI_BASE_URL + '/chat/completions', {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(newData)
-      });
+const normalClient = {
+  call: async (data, { upstream = {}, profile = {}, signal, pinned } = {}) => {
+    // 요청된 Claude 모델 이름을 MODEL_MAP(또는 라우팅 프로필의 modelMap)에 따라 업스트림 provider / 모델 체인으로 변경
+    // 이미지가 있으면 vision 모델을 먼저 시도, pinned가 있으면 그 대상으로만
+    const targets = pinTargets(
+      preferVisionTargets(resolveModelChain(data.model, profile.modelMap), data.messages),
+      pinned
+    );
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('OpenRouter API 에러:', response.status, errorText);
-        throw new Error(`OpenRouter API 에러: ${response.status} ${errorText}`);
-      }
+    // 업스트림별 동시 실행 / 분당 예산 제한을 거쳐 호출, 재시도 가능한 실패는 다음 fallback으로 전환
+    // 재시도는 응답 헤더를 받기 전(클라이언트로 SSE를 보내기 전)에만 발생
+    const { result, target } = await callWithFallbacks(
+      targets,
+      {
+        tokens: estimateRequestTokens(data),
+        labels: { mode: 'normal' },
+        signal,
+        stream: Boolean(data.stream)
+      },
+      async (target, attemptSignal) => {
+        // 이미지는 대상 모델에 맞게 읽기 / 축소하거나 설명으로 대체
+        const newData = adaptRequest(
+          await prepareImages({ ...data, model: target.model }, target),
+          target
+        );
+        logger.debug('upstream request', {
+          upstream: `${target.provider}/${newData.model}`,
+          // 전체 파라미터는 debug에서만 (이미지 data URL 등은 로거가 가림)
+          params: isDebugEnabled() ? newData : undefined
+        });
+
+        // 헤더 준비
+        const headers = {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${target.apiKey}`,
+          'HTTP-Referer': 'https://claude-code-copilot-router.local',
+          'X-Title': 'Claude Code Copilot Router'
+        };
+
+        // 이미지가 포함된 경우 비전 헤더 추가
+        if (hasImages(newData.messages)) {
+          headers['Copilot-Vision-Request'] = 'true';
+        }
+
+        // OpenRouter API에 직접 HTTP 요청 (OpenAI SDK 헤더 문제 해결)
+        const response = await fetch(target.baseURL + '/chat/completions', {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(newData),
+          signal: attemptSignal
+        });
+
+        if (!response.ok) {
+          const errorText = await response.text();
+          logger.warn('upstream error response', {
+            upstream: `${target.provider}/${newData.model}`,
+            status: response.status,
+            body: errorText.slice(0, 1000)
+          });
+          throw new UpstreamError(response.status, errorText, {
+            retryAfter: response.headers.get('retry-after')
+          });
+        }
+
+        // 비스트리밍 요청이면 completion JSON을 chunk 형식으로 변환
+        if (!newData.stream) {
+          return completionToChunks(await response.json());
+        }
 
-      // 스트림 응답을 OpenAI SDK 형식으로 변환
-      return {
-        [Symbol.asyncIterator]: async function* () {
-          // Node.js 환경에서는 response.body.getReader()가 동작하지 않으므로, response.body를 직접 처리
-          const decoder = new TextDecoder();
-          let buffer = '';
-
-          for await (const chunk of response.body) {
-            buffer += decoder.decode(chunk, { stream: true });
-            const lines = buffer.split('\n');
-            buffer = lines.pop(); // 마지막 불완전한 줄 유지
-
-            for (const line of lines) {
-              if (line.startsWith('data: ') && line.length > 6) {
-                const data = line.slice(6);
-                if (data === '[DONE]') return;
-
-                try {
-                  const parsed = JSON.parse(data);
-                  yield parsed;
-                } catch (e) {
-                  console.warn('JSON 파싱 에러:', e, 'data:', data);
+        // 스트림 응답을 OpenAI SDK 형식으로 변환
+        return {
+          [Symbol.asyncIterator]: async function* () {
+            // Node.js 환경에서는 response.body.getReader()가 동작하지 않으므로, response.body를 직접 처리
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            for await (const chunk of response.body) {
+              buffer += decoder.decode(chunk, { stream: true });
+              const lines = buffer.split('\n');
+              buffer = lines.pop(); // 마지막 불완전한 줄 유지
+
+              for (const line of lines) {
+                if (line.startsWith('data: ') && line.length > 6) {
+                  const data = line.slice(6);
+                  if (data === '[DONE]') return;
+
+                  try {
+                    const parsed = JSON.parse(data);
+                    yield parsed;
+                  } catch (e) {
+                    logger.warn('invalid upstream SSE data', {
+                      error: e.message,
+                      data: data.slice(0, 200)
+                    });
+                  }
                 }
               }
             }
           }
-        }
-      };
+        };
+      }
+    );
+    upstream.provider = target.provider;
+    upstream.model = target.model;
+    return result;
+  },
+  // tool call 인자 교정 요청은 fallback 없이 앞서 응답한 업스트림으로
+  correct: (data, toolCalls, { upstream = {}, ...options } = {}) =>
+    normalClient.call(buildCorrectionRequest(data, toolCalls), {
+      ...options,
+      upstream,
+      pinned: { ...upstream }
+    })
+};
+
+let router;
+let routerClient;
+let jsonParser;
+
+/**
+ * 현재 설정으로 라우터 모드 클라이언트와 body parser 구성
+ * 설정 파일이 바뀌면 다시 호출되며, 진행 중인 요청은 이전 클라이언트로 끝까지 처리됨
+ */
+function applyConfig() {
+  // 기본 mode 또는 라우팅 프로필 중 하나라도 라우터 모드면 라우터 구성
+  const nextRouter = usesRouterMode() ? new Router({ traces: router?.traces }) : undefined;
+  const { bodyLimit } = getServerOptions();
+  jsonParser = express.json({ limit: bodyLimit });
+  router = nextRouter;
+  routerClient = nextRouter && {
+    call: (data, { upstream, requestId, profile = {}, signal } = {}) => {
+      return nextRouter.route(data, { upstream, requestId, rules: profile.rules, signal });
+    },
+    // 다시 라우팅하지 않고 최종 응답을 만든 에이전트 / 업스트림으로
+    correct: (data, toolCalls, { upstream, requestId, signal } = {}) => {
+      return nextRouter.correct(toolCalls, { upstream, requestId, signal });
     }
   };
+  logger.info('config applied', { mode: isRouterMode() ? 'router' : 'normal', bodyLimit });
 }
 
-app.post('/v1/messages', async (req, res) => {
-  // 상태 변수 선언 (eslint 에러 방지)
-  let completion;
-  let currentContentBlocks;
-  let toolUseJson;
-  let isToolUse;
-  let hasStartedTextBlock;
-  let contentBlockIndex;
-
-  try {
-    let { model, messages, system = [], temperature, tools } = req.body;
-    // map 호출 전 배열 보장
-    messages = Array.isArray(messages) ? messages : [];
-    tools = Array.isArray(tools) ? tools : [];
-    system = Array.isArray(system) ? system : [];
-    // 상태 변수 초기화
-    completion = undefined;
-    currentContentBlocks = [];
-    toolUseJson = '';
-    isToolUse = false;
-    hasStartedTextBlock = false;
-    contentBlockIndex = 0;
-
-    messages = messages.map(item => {
-      if (item.content instanceof Array) {
-        return {
-          role: item.role,
-          content: item.content.map(it => {
-            // 디버깅: 받은 content 내용 확인
-            if (it?.type === 'image_url' || it?.type === 'image') {
-              console.log('🖼️ 이미지 데이터 구조:', JSON.stringify(it, null, 2));
-            }
-
-            // OpenRouter는 'text'와 'image_url' 타입만 지원
-            if (it?.type === 'image_url' || it?.type === 'image') {
-              // 이미지 URL 확인 - 다양한 형식 지원
-              let imageUrl = '';
-
-              // Claude의 다양한 이미지 형식 처리
-              if (it?.type === 'image' && it?.source) {
-                // Claude의 image 타입 처리
-                if (it.source.type === 'base64' && it.source.data) {
-                  // base64 데이터를 data URL로 변환
-                  const mediaType = it.source.media_type || 'image/png';
-                  imageUrl = `data:${mediaType};base64,${it.source.data}`;
-                } else if (it.source.data) {
-                  // 이미 data URL 형식인 경우
-                  imageUrl = it.source.data;
-                }
-              } else if (it?.image_url?.url) {
-                // image_url 타입
-                imageUrl = it.image_url.url;
-              } else if (it?.url) {
-                // 단순 url 속성
-                imageUrl = it.url;
-              }
-
-              console.log('🔗 추출된 이미지 URL:', imageUrl.substring(0, 100) + '...');
-
-              // 이미지 URL이 비어있는 경우
-              if (!imageUrl) {
-                console.log('❌ 이미지 URL을 찾을 수 없음');
-                return {
-                  type: 'text',
-                  text: '[이미지를 찾을 수 없습니다. 이미지가 제대로 업로드되었는지 확인해주세요.]'
-                };
-              }
+/**
+ * 클라이언트 키의 라우팅 프로필에 맞는 클라이언트 (라우터 / 일반 모드)
+ */
+function getClient(profile) {
+  return isRouterMode(profile) ? routerClient : normalClient;
+}
 
-              // file:// 프로토콜은 로컬 파일이므로 OpenRouter에 전송 불가
-              if (imageUrl.startsWith('file://')) {
-                console.log('❌ 로컬 파일 이미지 감지');
-                return {
-                  type: 'text',
-                  text: '[로컬 이미지는 OpenRouter로 전송할 수 없습니다. 이미지를 base64로 인코딩하거나 외부 URL을 사용해주세요.]'
-                };
-              }
+applyConfig();
+onConfigChange((config, previous) => {
+  applyConfig();
+  // 이미 열린 소켓은 바꿀 수 없으므로 port / host 변경은 재시작해야 적용됨
+  if (
+    config.server?.port !== previous.server?.port ||
+    config.server?.host !== previous.server?.host
+  ) {
+    logger.warn('server.port / server.host changes take effect after a restart');
+  }
+});
+// 로그 / 라우팅 trace 조회에 쓰는 요청 id
+app.use((req, res, next) => {
+  req.requestId = `req_${randomUUID()}`;
+  res.setHeader('x-request-id', req.requestId);
+  next();
+});
+// 라우트별 요청 수 / 처리 시간 (라우트에 매칭되기 전에 끝난 요청은 "unmatched")
+app.use((req, res, next) => {
+  const startedAt = Date.now();
+  res.on('close', () => {
+    const labels = { route: req.route?.path ?? 'unmatched', mode: res.locals.mode ?? '' };
+    metrics.httpRequests.inc({ ...labels, status: res.statusCode });
+    metrics.httpDuration.observe(labels, (Date.now() - startedAt) / 1000);
+  });
+  next();
+});
+// 큰 요청 본문을 읽기 전에 클라이언트 키부터 확인
+app.use(['/v1', '/debug', '/usage'], requireAuth);
+app.use((req, res, next) => jsonParser(req, res, next));
+
+/**
+ * 토큰 추정에 사용할 실제 업스트림 모델 이름
+ */
+function getUpstreamModelName(model, profile = {}) {
+  if (isRouterMode(profile)) {
+    return router.finalAgent.getTargets()[0].model || model;
+  }
+  return resolveModel(model, profile.modelMap).model;
+}
 
-              // data: URL이나 https: URL은 그대로 전달
-              if (imageUrl.startsWith('data:') || imageUrl.startsWith('http')) {
-                console.log('✅ 지원되는 이미지 형식 감지');
-                return {
-                  type: 'image_url',
-                  image_url: {
-                    url: imageUrl,
-                    detail: 'auto' // OpenRouter 권장 설정
-                  }
-                };
-              }
+/**
+ * 응답 usage를 업스트림 호출별 사용량 기록으로 변환 (라우터 모드는 hop별 라우터 / 에이전트 호출)
+ */
+function getUsageCalls(requestId, upstream, usage) {
+  const trace = router?.getTrace(requestId);
+  if (trace) return callsFromTrace(trace, usage);
+  if (!upstream.provider) return [];
+  return [
+    {
+      provider: upstream.provider,
+      model: upstream.model,
+      inputTokens: usage.input_tokens,
+      cachedTokens: usage.cache_read_input_tokens,
+      outputTokens: usage.output_tokens
+    }
+  ];
+}
 
-              // 기타 형식의 이미지는 텍스트로 변환
-              console.log('⚠️ 지원하지 않는 이미지 형식');
-              return {
-                type: 'text',
-                text: '[지원하지 않는 이미지 형식입니다]'
-              };
-            }
+/**
+ * 교정 요청이 있었으면 전체 usage에서 교정 전 호출의 usage를 뺌
+ */
+function subtractUsage(usage, previous) {
+  if (!previous) return usage;
+  return Object.fromEntries(
+    Object.entries(usage).map(([key, value]) => [key, Math.max(0, value - (previous[key] || 0))])
+  );
+}
 
-            // 이미지가 아닌 경우 기존 로직
-            const msg = {
-              ...it,
-              type: 'text'
-            };
-            msg.text = it?.content ? JSON.stringify(it.content) : it?.text || '';
-            delete msg.content;
-            return msg;
-          })
-        };
-      }
-      return {
-        role: item.role,
-        content: item.content
-      };
+/**
+ * POST /v1/messages 처리: 변환 / 업스트림 첫 chunk / 스트림 종료 단계별 소요 시간을 로그로 남김
+ * 클라이언트가 응답을 끝까지 받기 전에 연결을 끊으면 진행 중인 업스트림 호출(라우터 hop 포함)을 취소
+ */
+async function handleMessages(req, res) {
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  let pingTimer;
+  let translator;
+  // 실제로 응답한 provider / model (fallback 여부 확인용)
+  const upstream = {};
+  // 교정 요청 전 호출의 사용량 (일반 모드)
+  const usageCalls = [];
+  let correctedUsage = null;
+  // 성공 / 실패 / 중단 어느 경우든 요청당 한 번만 기록
+  let usageRecorded = false;
+  const recordRequestUsage = (model, { unfinished = false } = {}) => {
+    usageRecorded = true;
+    const calls = [
+      ...usageCalls,
+      ...getUsageCalls(
+        req.requestId,
+        upstream,
+        subtractUsage(translator.getUsage(), correctedUsage)
+      )
+    ];
+    return recordUsage({
+      requestId: req.requestId,
+      client: req.client.name,
+      requestedModel: model,
+      // 끝나지 않은 요청은 토큰을 쓴 호출만
+      calls: unfinished ? calls.filter(call => call.inputTokens || call.outputTokens) : calls
     });
-    // messages, system, tools 모두 새 객체로 깊은 복사
-    const safeSystem = Array.isArray(system)
-      ? system.map(item => ({
-          role: 'system',
-          content: item.text
-        }))
-      : [];
-    const safeMessages = Array.isArray(messages)
-      ? messages.map(item => ({
-          role: item.role,
-          content:
-            typeof item.content === 'object'
-              ? JSON.parse(JSON.stringify(item.content))
-              : item.content
-        }))
-      : [];
-    // tools 파라미터 개수 제한(최대 64개), 필요 없는 function/tool 제외
-    const safeTools = Array.isArray(tools)
-      ? tools
-          .filter(
-            tool =>
-              tool &&
-              typeof tool === 'object' &&
-              tool.name &&
-              !['StickerRequest', 'UnusedFunction', 'DeprecatedTool'].includes(tool.name) // 필요시 제외 항목 확장
-          )
-          .slice(0, 64)
-          .map(item => {
-            // input_schema를 안전하게 JSON으로 변환
-            let schema =
-              item.input_schema && typeof item.input_schema === 'object'
-                ? sanitizeJson(item.input_schema)
-                : {};
-            if (schema && typeof schema === 'object' && '$schema' in schema) {
-              delete schema['$schema'];
-            }
-            // function name 64자 제한, 허용 문자만 필터링, 첫 글자 영문/언더스코어 보장
-            let safeName = item.name
-              .replace(/[^a-zA-Z0-9_.-]/g, '_') // 허용 문자만
-              .replace(/^[^a-zA-Z_]+/, '_') // 첫 글자 보정
-              .slice(0, 64); // 64자 제한
-            return {
-              type: 'function',
-              function: {
-                name: safeName,
-                description: item.description,
-                parameters: schema
-              }
-            };
-          })
-      : undefined;
-
-    const data = Object.freeze({
+  };
+  let requestedModel = req.body?.model;
+  try {
+    const { stop_sequences: stopSequences } = req.body;
+    // 클라이언트 키별 허용 모델 / 라우팅 프로필
+    assertModelAllowed(req.client, req.body.model);
+    const { profile } = req.client;
+    res.locals.mode = isRouterMode(profile) ? 'router' : 'normal';
+    // 예산을 초과했으면 429로 거절하거나 설정된 모델로 변경
+    const { model, downgradedFrom } = checkBudget(req.client.name, req.body.model);
+    requestedModel = model;
+    if (downgradedFrom) {
+      logger.warn('model downgraded by budget', { from: downgradedFrom, to: model });
+      res.setHeader('x-budget-downgraded-from', downgradedFrom);
+    }
+    // Anthropic 요청(system / messages / tools)을 OpenAI 요청으로 변환
+    // 업스트림 함수 이름으로 바꾼 도구 이름은 응답에서 원래대로 돌려놓음
+    const toolNames = createToolNameMap();
+    const data = convertRequest({ ...req.body, model }, { toolNames });
+    const convertedAt = Date.now();
+    logger.info('request converted', {
       model,
-      messages: [...safeSystem, ...safeMessages],
-      temperature,
-      stream: true,
-      ...(safeTools ? { tools: safeTools } : {})
+      stream: data.stream,
+      messages: data.messages.length,
+      tools: data.tools?.length || 0,
+      conversionMs: convertedAt - startedAt,
+      // 변환된 전체 요청은 debug에서만 (API 키 / 이미지 data URL 등은 로거가 가림)
+      request: isDebugEnabled() ? data : undefined
     });
 
-    // OpenAI API 호출 직전 파라미터 구조 출력
-    console.log('🔎 OpenAI API 호출 파라미터:');
-    console.dir(
-      {
-        model: data.model,
-        messages: data.messages.map(msg => ({
-          role: msg.role,
-          content: Array.isArray(msg.content)
-            ? msg.content.map(c => ({
-                type: c.type,
-                text: c.text ? c.text.substring(0, 50) + '...' : undefined,
-                image_url: c.image_url ? '이미지 URL 있음' : undefined
-              }))
-            : msg.content
-        })),
-        tools: data.tools?.length || 0,
-        temperature: data.temperature,
-        stream: data.stream
-      },
-      { depth: 10 }
-    );
-    // tools 파라미터 JSON.stringify로 실제 전송 구조 확인
-    if (data.tools) {
-      try {
-        console.log('🔎 tools 파라미터(JSON):\n' + JSON.stringify(data.tools, null, 2));
-      } catch (e) {
-        console.error('tools 파라미터 stringify 실패:', e);
-      }
-    }
-
-    completion = await client.call(data);
-
-    // Set SSE response headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-
-    const messageId = 'msg_' + Date.now();
-
-    // Send message_start event
-    const messageStart = {
-      type: 'message_start',
-      message: {
-        id: messageId,
-        type: 'message',
-        role: 'assistant',
-        content: [],
-        model,
-        stop_reason: null,
-        stop_sequence: null,
-        usage: { input_tokens: 1, output_tokens: 1 }
+    // 스트리밍 요청이면 SSE로 바로 전송, 아니면 결과를 모아서 하나의 message JSON으로 응답
+    // 잘못된 tool call 인자를 교정 / 거부하려면 tool call 블록을 검증이 끝날 때까지 보류
+    const { invalidArguments } = getToolOptions();
+    const translatorOptions = {
+      stopSequences: Array.isArray(stopSequences) ? stopSequences : [],
+      inputTokens: estimateRequestTokens(data, getUpstreamModelName(model, profile)),
+      toolNames,
+      toolSchemas: getToolSchemas(req.body.tools),
+      bufferToolCalls: invalidArguments !== 'ignore'
+    };
+    const message = { id: 'msg_' + Date.now(), model };
+    let lastWriteAt = Date.now();
+    const startStream = () => {
+      metrics.activeStreams.inc({ mode: res.locals.mode });
+      res.on('close', () => metrics.activeStreams.dec({ mode: res.locals.mode }));
+      // Set SSE response headers
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      translator.start(message);
+      // 그 뒤로 보낸 이벤트가 없으면 ping을 보내 중간 프록시가 연결을 끊지 않도록 함 (중간 hop / 교정 요청 대기 등)
+      // 첫 chunk 전에는 보내지 않음: SSE를 먼저 시작하면 재시도 / fallback 중의 실패를 HTTP 에러로 전달할 수 없음
+      const pingIntervalMs = readNumberEnv('PING_INTERVAL_MS', 10 * 1000);
+      if (pingIntervalMs > 0) {
+        pingTimer = setInterval(() => {
+          if (Date.now() - lastWriteAt < pingIntervalMs) return;
+          translator.emit('ping', { type: 'ping' });
+        }, pingIntervalMs);
       }
     };
-    res.write(`event: message_start\ndata: ${JSON.stringify(messageStart)}\n\n`);
-
-    try {
-      for await (const chunk of completion) {
-        // 방어적 코딩: chunk, choices, choices[0], delta 존재 여부 체크
-        const delta =
-          chunk &&
-          Array.isArray(chunk.choices) &&
-          chunk.choices.length > 0 &&
-          chunk.choices[0] &&
-          chunk.choices[0].delta
-            ? chunk.choices[0].delta
-            : undefined;
-        if (!delta) continue;
-        if (delta.tool_calls && delta.tool_calls.length > 0) {
-          const toolCall = delta.tool_calls[0];
-
-          if (!isToolUse) {
-            // Start new tool call block
-            isToolUse = true;
-
-            const toolBlockStart = {
-              type: 'content_block_start',
-              index: contentBlockIndex,
-              content_block: {
-                type: 'tool_use',
-                id: `toolu_${Date.now()}`,
-                name: toolCall.function.name,
-                input: {}
-              }
-            };
-
-            // Add to content blocks list
-            currentContentBlocks.push({
-              type: 'tool_use',
-              id: toolBlockStart.content_block.id,
-              name: toolCall.function.name,
-              input: {}
-            });
-
-            res.write(`event: content_block_start\ndata: ${JSON.stringify(toolBlockStart)}\n\n`);
-            toolUseJson = '';
-          }
-
-          // Stream tool call JSON
-          if (toolCall.function.arguments) {
-            const jsonDelta = {
-              type: 'content_block_delta',
-              index: contentBlockIndex,
-              delta: {
-                type: 'input_json_delta',
-                partial_json: toolCall.function.arguments
-              }
-            };
-
-            toolUseJson += toolCall.function.arguments;
-
-            // Try to parse complete JSON and update content block
-            try {
-              const parsedJson = JSON.parse(toolUseJson);
-              currentContentBlocks = currentContentBlocks.map((block, idx) =>
-                idx === contentBlockIndex ? { ...block, input: parsedJson } : block
-              );
-            } catch {
-              // JSON not yet complete, continue accumulating
-            }
-
-            res.write(`event: content_block_delta\ndata: ${JSON.stringify(jsonDelta)}\n\n`);
-          }
-        } else if (delta.content) {
-          // Handle regular text content
-          if (isToolUse) {
-            // End previous tool call block
-            const contentBlockStop = {
-              type: 'content_block_stop',
-              index: contentBlockIndex
-            };
-
-            res.write(`event: content_block_stop\ndata: ${JSON.stringify(contentBlockStop)}\n\n`);
-            contentBlockIndex++;
-            isToolUse = false;
-          }
-
-          if (!delta.content) continue;
-
-          // If text block not yet started, send content_block_start
-          if (!hasStartedTextBlock) {
-            const textBlockStart = {
-              type: 'content_block_start',
-              index: contentBlockIndex,
-              content_block: {
-                type: 'text',
-                text: ''
-              }
-            };
-
-            // Add to content blocks list
-            currentContentBlocks.push({
-              type: 'text',
-              text: ''
-            });
-
-            res.write(`event: content_block_start\ndata: ${JSON.stringify(textBlockStart)}\n\n`);
-            hasStartedTextBlock = true;
-          }
+    if (data.stream) {
+      translator = new StreamTranslator((event, payload) => {
+        if (res.destroyed) return;
+        lastWriteAt = Date.now();
+        res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+      }, translatorOptions);
+    } else {
+      translator = new StreamTranslator(undefined, translatorOptions);
+    }
 
-          // Send regular text content
-          const contentDelta = {
-            type: 'content_block_delta',
-            index: contentBlockIndex,
-            delta: {
-              type: 'text_delta',
-              text: delta.content
-            }
-          };
+    // 첫 chunk까지 받은 뒤 응답을 시작하여, 그 전의 실패는 HTTP 에러로 전달
+    const completion = await prefetchFirstChunk(
+      await getClient(profile).call(data, {
+        upstream,
+        requestId: req.requestId,
+        profile,
+        signal: controller.signal
+      })
+    );
+    const firstChunkAt = Date.now();
+    // 라우터 모드에서 중간 hop 출력이 먼저 스트리밍되면 최종 업스트림은 스트림이 끝나야 알 수 있음
+    logger.info('upstream first chunk', {
+      upstream: upstream.provider ? `${upstream.provider}/${upstream.model}` : undefined,
+      firstByteMs: firstChunkAt - convertedAt
+    });
+    if (upstream.provider && !res.headersSent) {
+      res.setHeader('x-upstream-provider', upstream.provider);
+      res.setHeader('x-upstream-model', upstream.model);
+    } else if (data.stream && !res.headersSent) {
+      // 헤더 대신 스트림 끝의 trailer로 전달
+      res.setHeader('Trailer', 'x-upstream-provider, x-upstream-model');
+    }
 
-          // Update content block text
-          if (currentContentBlocks[contentBlockIndex]) {
-            currentContentBlocks = currentContentBlocks.map((block, idx) =>
-              idx === contentBlockIndex ? { ...block, text: block.text + delta.content } : block
-            );
-          }
+    if (data.stream) {
+      startStream();
+    } else {
+      translator.start(message);
+    }
+    for await (const chunk of completion) {
+      controller.signal.throwIfAborted();
+      translator.push(chunk);
+    }
 
-          res.write(`event: content_block_delta\ndata: ${JSON.stringify(contentDelta)}\n\n`);
-        }
+    // 복구 후에도 input_schema와 맞지 않는 tool call 인자: 설정에 따라 모델에 한 번 교정을 요청하거나 에러로 응답
+    // ignore면 검증하지 않고 받은 그대로 스트리밍
+    let invalidToolCalls = invalidArguments === 'ignore' ? [] : translator.validateToolCalls();
+    if (invalidToolCalls.length > 0 && invalidArguments === 'retry') {
+      logger.warn('invalid tool call arguments, asking the model to correct them', {
+        errors: invalidToolCalls.flatMap(call => call.errors)
+      });
+      const { toolCalls, usage } = translator.startCorrection();
+      // 라우터 모드는 교정 요청도 같은 trace의 hop으로 남으므로 교정 전 호출은 일반 모드에서만 따로 기록
+      if (!router?.getTrace(req.requestId)) {
+        usageCalls.push(...getUsageCalls(req.requestId, upstream, usage));
+        correctedUsage = usage;
+      }
+      const correction = await getClient(profile).correct(data, toolCalls, {
+        upstream,
+        requestId: req.requestId,
+        profile,
+        signal: controller.signal
+      });
+      for await (const chunk of correction) {
+        controller.signal.throwIfAborted();
+        translator.push(chunk);
       }
-    } finally {
-      // 클린업: 상태값, 스트림 등 모두 초기화
-      completion = null;
-      currentContentBlocks = [];
-      toolUseJson = '';
-      isToolUse = false;
-      hasStartedTextBlock = false;
-      contentBlockIndex = 0;
+      invalidToolCalls = translator.validateToolCalls();
     }
+    if (invalidToolCalls.length > 0) {
+      logger.warn('tool call arguments do not match input_schema', {
+        errors: invalidToolCalls.flatMap(call => call.errors)
+      });
+      throw new InvalidToolCallError(invalidToolCalls);
+    }
+    translator.finish();
+
+    if (data.stream) {
+      if (res.getHeader('Trailer') && upstream.provider) {
+        res.addTrailers({
+          'x-upstream-provider': upstream.provider,
+          'x-upstream-model': upstream.model
+        });
+      }
+      res.end();
+    } else {
+      // 비스트리밍 응답은 라우팅이 모두 끝난 뒤 헤더를 보내므로 trace를 헤더로도 전달
+      const trace = router?.getTrace(req.requestId);
+      if (trace) {
+        res.setHeader('x-routing-trace', JSON.stringify(trace.hops));
+      }
+      res.json(translator.toMessage());
+    }
+    const records = await recordRequestUsage(model);
+    logger.info('request completed', {
+      upstream: `${upstream.provider}/${upstream.model}`,
+      stopReason: translator.stopReason,
+      usage: translator.usage,
+      cost: records.reduce((sum, record) => sum + record.cost, 0),
+      streamMs: Date.now() - firstChunkAt,
+      totalMs: Date.now() - startedAt
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info('client disconnected, upstream call cancelled', {
+        totalMs: Date.now() - startedAt
+      });
+      return;
+    }
+    logger.error('request failed', { error, totalMs: Date.now() - startedAt });
+    // 방어적 코딩: 이미 SSE가 시작된 경우 event: error 프레임으로 전달
+    sendAnthropicError(res, error);
+  } finally {
+    clearInterval(pingTimer);
+    // 실패 / 중단된 요청도 그때까지 업스트림이 처리한 만큼 사용량 기록 (예산에 반영)
+    if (translator && !usageRecorded) {
+      const records = await recordRequestUsage(requestedModel, { unfinished: true });
+      if (records.length > 0) {
+        logger.info('usage recorded for unfinished request', {
+          usage: translator.getUsage(),
+          cost: records.reduce((sum, record) => sum + record.cost, 0)
+        });
+      }
+    }
+  }
+}
 
-    // Close last content block
-    const contentBlockStop = {
-      type: 'content_block_stop',
-      index: contentBlockIndex
-    };
-
-    res.write(`event: content_block_stop\ndata: ${JSON.stringify(contentBlockStop)}\n\n`);
+app.post('/v1/messages', (req, res) =>
+  withRequestContext({ requestId: req.requestId, client: req.client.name }, () =>
+    handleMessages(req, res)
+  )
+);
 
-    // Send message_delta event with appropriate stop_reason
-    const messageDelta = {
-      type: 'message_delta',
-      delta: {
-        stop_reason: isToolUse ? 'tool_use' : 'end_turn',
-        stop_sequence: null,
-        content: currentContentBlocks
-      },
-      usage: { input_tokens: 100, output_tokens: 150 }
-    };
+app.post('/v1/messages/count_tokens', (req, res) => {
+  try {
+    // /v1/messages와 같은 변환을 거친 뒤 로컬 추정기로 계산
+    assertModelAllowed(req.client, req.body.model);
+    const data = convertRequest(req.body);
+    res.json({
+      input_tokens: estimateRequestTokens(
+        data,
+        getUpstreamModelName(req.body.model, req.client.profile)
+      )
+    });
+  } catch (error) {
+    logger.error('count_tokens failed', { requestId: req.requestId, error });
+    sendAnthropicError(res, error);
+  }
+});
 
-    res.write(`event: message_delta\ndata: ${JSON.stringify(messageDelta)}\n\n`);
+// 라우터 모드의 라우팅 trace 조회 (최근 요청들 / 요청 id별)
+app.get('/debug/routing', (req, res) => {
+  if (!router) return res.status(404).json({ error: 'router mode is disabled' });
+  res.json({ traces: router.getRecentTraces() });
+});
 
-    // Send message_stop event
-    const messageStop = {
-      type: 'message_stop'
-    };
+app.get('/debug/routing/:requestId', (req, res) => {
+  const trace = router?.getTrace(req.params.requestId);
+  if (!trace) return res.status(404).json({ error: 'trace not found' });
+  res.json(trace);
+});
 
-    res.write(`event: message_stop\ndata: ${JSON.stringify(messageStop)}\n\n`);
-    res.end();
-  } catch (error) {
-    console.error('Error in streaming response:', error);
-    // 방어적 코딩: 이미 응답이 전송된 경우 추가 응답 방지
-    if (!res.headersSent) {
-      res.status(400).json({
-        status: 'error',
-        message: error.message
-      });
-    }
+// 사용량 / 비용 합계 조회 (?from=YYYY-MM-DD&to=YYYY-MM-DD&client=이름)
+// admin이 아닌 클라이언트 키는 자신의 사용량만 조회 가능
+app.get('/usage', (req, res) => {
+  const { from, to } = req.query;
+  const invalidDay = [from, to].find(day => day && !/^\d{4}-\d{2}-\d{2}$/.test(day));
+  if (invalidDay) {
+    return sendAnthropicError(
+      res,
+      new RequestError(400, `dates must be in YYYY-MM-DD format (${invalidDay})`)
+    );
   }
+  const client = req.client.admin ? req.query.client : req.client.name;
+  res.json(summarizeUsage({ from, to, client }));
+});
+
+// 프로세스가 살아 있는지 (liveness)
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// 요청을 받을 준비가 됐는지 (readiness), 설정에 따라 업스트림 연결까지 확인
+app.get('/readyz', async (req, res) => {
+  if (!listening) return res.status(503).json({ status: 'starting' });
+  if (!shouldProbeUpstreams(req)) return res.json({ status: 'ready' });
+  const { ok, upstreams } = await probeUpstreams();
+  res.status(ok ? 200 : 503).json({ status: ok ? 'ready' : 'upstream unavailable', upstreams });
+});
+
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
 });
 
 async function initializeClaudeConfig() {
@@ -519,11 +566,25 @@ async function initializeClaudeConfig() {
   }
 }
 
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+let listening = false;
+
 async function run() {
   await initializeClaudeConfig();
+  await loadUsage();
 
-  app.listen(port, '0.0.0.0', () => {
-    console.log(`Example app listening on port ${port}`);
+  const { port, host } = getServerOptions();
+  if (!LOOPBACK_HOSTS.includes(host) && !isAuthEnabled()) {
+    logger.warn('listening on a public address without client authentication', {
+      host,
+      hint: 'configure auth.keys or PROXY_API_KEYS'
+    });
+  }
+  app.listen(port, host, () => {
+    listening = true;
+    logger.info('listening', { host, port });
   });
+  watchConfig();
 }
 run();
@@ -0,0 +1,413 @@
+import { clearTimeout, setTimeout } from 'timers';
+import { setTimeout as sleep } from 'timers/promises';
+import { readNumberEnv } from './utils.mjs';
+import { logger } from './logger.mjs';
+import { metrics } from './metrics.mjs';
+import { UpstreamTimeoutError } from './errors.mjs';
+
+/**
+ * 업스트림별 동시 요청 수 / 분당 요청·토큰 예산 제한과 429·5xx 재시도
+ *
+ * 기본값: UPSTREAM_CONCURRENCY(4), UPSTREAM_RPM(0=무제한), UPSTREAM_TPM(0=무제한),
+ *        UPSTREAM_MAX_RETRIES(3), UPSTREAM_RETRY_BASE_MS(1000)
+ * 업스트림별 설정: UPSTREAM_LIMITS='{"openrouter.ai":{"concurrency":2,"requestsPerMinute":20,"tokensPerMinute":200000}}'
+ *   (키가 base URL에 포함되면 적용)
+ * 시간 제한(ms, 0=무제한): UPSTREAM_CONNECT_TIMEOUT_MS(30000, 응답 헤더까지),
+ *   UPSTREAM_FIRST_TOKEN_TIMEOUT_MS(300000, 첫 chunk까지), UPSTREAM_IDLE_TIMEOUT_MS(120000, chunk 사이)
+ *   UPSTREAM_LIMITS에서 connectTimeoutMs / firstTokenTimeoutMs / idleTimeoutMs로 업스트림별 지정 가능
+ */
+
+const WINDOW_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+// 받은 스트림을 읽지 않고 둘 때 슬롯을 반납하기까지의 시간 (UPSTREAM_IDLE_TIMEOUT_MS가 0일 때)
+const UNREAD_STREAM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * 동시 실행 수와 최근 1분간 요청/토큰 수를 제한하는 FIFO 대기열
+ */
+export class RateLimiter {
+  constructor({ concurrency = 0, requestsPerMinute = 0, tokensPerMinute = 0 } = {}) {
+    this.concurrency = concurrency;
+    this.requestsPerMinute = requestsPerMinute;
+    this.tokensPerMinute = tokensPerMinute;
+    this.active = 0;
+    // 최근 1분간 시작된 요청 { time, tokens }
+    this.window = [];
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * 실행 슬롯 획득 (대기열 순서대로), 반환된 함수로 반납
+   * @param {number} tokens 요청의 예상 토큰 수
+   * @param {AbortSignal} [signal] 대기 중에 취소되면 대기열에서 빠지고 reject
+   * @returns {Promise<() => void>}
+   */
+  acquire(tokens = 0, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+      const entry = {
+        tokens,
+        resolve: release => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(release);
+        }
+      };
+      const onAbort = () => {
+        this.queue = this.queue.filter(item => item !== entry);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(entry);
+      this.pump();
+    });
+  }
+
+  /**
+   * 대기열 맨 앞 요청이 예산 안에 들어오면 실행 (앞 요청이 막히면 뒤 요청도 대기하여 순서 보장)
+   */
+  pump() {
+    while (this.queue.length > 0) {
+      const now = Date.now();
+      this.window = this.window.filter(entry => now - entry.time < WINDOW_MS);
+      const head = this.queue[0];
+
+      const waitMs = this.getWaitMs(head.tokens, now);
+      if (waitMs === Infinity) return; // 동시 실행 슬롯 반납 시 다시 pump
+      if (waitMs > 0) {
+        if (!this.timer) {
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this.pump();
+          }, waitMs);
+        }
+        return;
+      }
+
+      this.queue.shift();
+      this.active++;
+      this.window.push({ time: now, tokens: head.tokens });
+      let released = false;
+      head.resolve(() => {
+        if (released) return;
+        released = true;
+        this.active--;
+        this.pump();
+      });
+    }
+  }
+
+  /**
+   * 지금 실행할 수 없으면 대기해야 하는 시간(ms), 동시 실행 제한이면 Infinity
+   */
+  getWaitMs(tokens, now) {
+    if (this.concurrency > 0 && this.active >= this.concurrency) return Infinity;
+    if (this.window.length === 0) return 0;
+
+    const untilOldestExpires = WINDOW_MS - (now - this.window[0].time);
+    if (this.requestsPerMinute > 0 && this.window.length >= this.requestsPerMinute) {
+      return untilOldestExpires;
+    }
+    if (this.tokensPerMinute > 0) {
+      const used = this.window.reduce((sum, entry) => sum + entry.tokens, 0);
+      if (used + tokens > this.tokensPerMinute) return untilOldestExpires;
+    }
+    return 0;
+  }
+}
+
+const limiters = new Map();
+
+function getLimitOptions(key) {
+  const defaults = {
+    concurrency: readNumberEnv('UPSTREAM_CONCURRENCY', 4),
+    requestsPerMinute: readNumberEnv('UPSTREAM_RPM', 0),
+    tokensPerMinute: readNumberEnv('UPSTREAM_TPM', 0),
+    connectTimeoutMs: readNumberEnv('UPSTREAM_CONNECT_TIMEOUT_MS', 30 * 1000),
+    firstTokenTimeoutMs: readNumberEnv('UPSTREAM_FIRST_TOKEN_TIMEOUT_MS', 300 * 1000),
+    idleTimeoutMs: readNumberEnv('UPSTREAM_IDLE_TIMEOUT_MS', 120 * 1000)
+  };
+  let overrides = {};
+  if (process.env.UPSTREAM_LIMITS) {
+    try {
+      const limits = JSON.parse(process.env.UPSTREAM_LIMITS);
+      const matched = Object.keys(limits).find(pattern => String(key).includes(pattern));
+      overrides = matched ? limits[matched] : {};
+    } catch (e) {
+      logger.warn('invalid UPSTREAM_LIMITS', { error: e.message });
+    }
+  }
+  return { ...defaults, ...overrides };
+}
+
+/**
+ * 업스트림(base URL)별 limiter
+ */
+export function getLimiter(key) {
+  if (!limiters.has(key)) {
+    limiters.set(key, new RateLimiter(getLimitOptions(key)));
+  }
+  return limiters.get(key);
+}
+
+const upstreamTimeouts = new Map();
+
+/**
+ * 업스트림(base URL)별 연결 / 첫 토큰 / chunk 사이 대기 시간 제한
+ * @returns {{ connectTimeoutMs: number, firstTokenTimeoutMs: number, idleTimeoutMs: number }}
+ */
+export function getTimeouts(key) {
+  if (!upstreamTimeouts.has(key)) {
+    const { connectTimeoutMs, firstTokenTimeoutMs, idleTimeoutMs } = getLimitOptions(key);
+    upstreamTimeouts.set(key, { connectTimeoutMs, firstTokenTimeoutMs, idleTimeoutMs });
+  }
+  return upstreamTimeouts.get(key);
+}
+
+/**
+ * 429 / 5xx / 네트워크 에러만 재시도
+ */
+export function isRetryableError(error) {
+  if (Number.isInteger(error?.status)) {
+    return error.status === 429 || error.status >= 500;
+  }
+  // node-fetch FetchError, OpenAI SDK APIConnectionError 등 status 없는 연결 에러
+  return error?.name === 'FetchError' || error?.name === 'APIConnectionError';
+}
+
+function getRetryAfter(error) {
+  if (error?.retryAfter) return error.retryAfter;
+  const headers = error?.headers;
+  if (typeof headers?.get === 'function') return headers.get('retry-after');
+  return headers?.['retry-after'] ?? null;
+}
+
+/**
+ * retry-after(초 또는 HTTP 날짜)가 있으면 따르고, 없으면 지수 백오프 + 지터
+ */
+export function getRetryDelayMs(error, attempt) {
+  const retryAfter = getRetryAfter(error);
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isFinite(seconds)
+      ? seconds * 1000
+      : new Date(retryAfter).getTime() - Date.now();
+    if (Number.isFinite(delay) && delay >= 0) return Math.min(delay, MAX_RETRY_DELAY_MS);
+  }
+  const base = readNumberEnv('UPSTREAM_RETRY_BASE_MS', 1000);
+  const delay = base * 2 ** attempt + Math.random() * base;
+  return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * 업스트림 실패를 메트릭에 기록 (status가 없는 연결 에러는 "network")
+ */
+function recordUpstreamError(labels, error) {
+  const status = error?.status ?? (isRetryableError(error) ? 'network' : 'error');
+  metrics.upstreamErrors.inc({ ...labels, status });
+  if (status === 429) metrics.upstreamRateLimited.inc(labels);
+}
+
+/**
+ * promise가 timeoutMs 안에 끝나지 않으면 onTimeout()의 에러로 reject (timeoutMs가 0 이하면 제한 없음)
+ */
+function withTimeout(promise, timeoutMs, onTimeout) {
+  if (!(timeoutMs > 0)) return promise;
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(onTimeout()), timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 호출 한 번의 AbortController: 요청 signal(클라이언트 연결 종료)이나 시간 초과로 업스트림 호출을 취소
+ */
+function createAttempt(signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  return {
+    signal: controller.signal,
+    timeout(phase, timeoutMs) {
+      const error = new UpstreamTimeoutError(phase, timeoutMs);
+      controller.abort(error);
+      return error;
+    },
+    dispose: () => signal?.removeEventListener('abort', onAbort)
+  };
+}
+
+/**
+ * 스트림 응답이면 다 읽을 때까지 슬롯을 유지하고 끝나면 반납
+ * 첫 chunk / chunk 사이 대기 시간을 제한하고, 첫 chunk / 스트림 종료 시각을 메트릭에 기록
+ * 읽는 쪽이 스트림을 버리거나 멈춘 경우에도 요청 취소 / 시간 초과 시 업스트림 응답을 취소하고 슬롯 반납
+ */
+function holdUntilDone(result, { release, attempt, labels, startedAt, timeouts }) {
+  const seconds = () => (Date.now() - startedAt) / 1000;
+  let released = false;
+  let unreadTimer;
+  const done = () => {
+    if (released) return;
+    released = true;
+    clearTimeout(unreadTimer);
+    attempt.signal.removeEventListener('abort', done);
+    release();
+    attempt.dispose();
+    metrics.upstreamDuration.observe(labels, seconds());
+  };
+  if (!result || Array.isArray(result) || typeof result[Symbol.asyncIterator] !== 'function') {
+    done();
+    return result;
+  }
+  attempt.signal.addEventListener('abort', done, { once: true });
+  // 다음 chunk를 요청하지 않은 채 이 시간이 지나면 스트림을 버린 것으로 보고 취소
+  const unreadTimeoutMs =
+    timeouts.idleTimeoutMs > 0 ? timeouts.idleTimeoutMs : UNREAD_STREAM_TIMEOUT_MS;
+  const waitForReader = () => {
+    clearTimeout(unreadTimer);
+    unreadTimer = setTimeout(() => {
+      logger.warn('upstream stream was not read, cancelled', {
+        upstream: labels.upstream,
+        unreadMs: unreadTimeoutMs
+      });
+      attempt.timeout('idle', unreadTimeoutMs);
+    }, unreadTimeoutMs);
+  };
+  waitForReader();
+  return {
+    async *[Symbol.asyncIterator]() {
+      clearTimeout(unreadTimer);
+      const iterator = result[Symbol.asyncIterator]();
+      let first = true;
+      try {
+        for (;;) {
+          attempt.signal.throwIfAborted();
+          const next = await (first
+            ? withTimeout(
+                iterator.next(),
+                timeouts.firstTokenTimeoutMs > 0
+                  ? Math.max(1, timeouts.firstTokenTimeoutMs - (Date.now() - startedAt))
+                  : 0,
+                () => attempt.timeout('first-token', timeouts.firstTokenTimeoutMs)
+              )
+            : withTimeout(iterator.next(), timeouts.idleTimeoutMs, () =>
+                attempt.timeout('idle', timeouts.idleTimeoutMs)
+              ));
+          if (next.done) return;
+          if (first) {
+            first = false;
+            metrics.upstreamTimeToFirstToken.observe(labels, seconds());
+          }
+          waitForReader();
+          yield next.value;
+          clearTimeout(unreadTimer);
+        }
+      } catch (error) {
+        if (!attempt.signal.aborted || error instanceof UpstreamTimeoutError) {
+          recordUpstreamError(labels, error);
+        }
+        throw error;
+      } finally {
+        // 다 읽기 전에 끝나면(클라이언트 연결 종료 등) 업스트림 응답도 취소
+        iterator.return?.().catch(() => {});
+        done();
+      }
+    }
+  };
+}
+
+/**
+ * limiter를 거쳐 업스트림 호출, 재시도 가능한 실패는 백오프 후 재시도
+ * fn은 업스트림 응답 헤더까지만 기다리므로 재시도는 클라이언트로 SSE 첫 바이트를 보내기 전에만 발생
+ * 스트리밍 호출은 응답 헤더까지 연결 시간 제한, 비스트리밍 호출은 응답 전체에 첫 토큰 시간 제한을 적용
+ * @param {string} key 업스트림 식별자 (base URL)
+ * @param {{ tokens?: number, maxRetries?: number, labels?: object, signal?: AbortSignal, stream?: boolean }} options
+ *   labels: 메트릭 레이블, signal: 요청 취소(클라이언트 연결 종료) signal
+ * @param {(signal: AbortSignal) => Promise<any>} fn 업스트림 호출 (signal을 fetch / SDK 호출에 전달)
+ */
+export async function callWithLimits(
+  key,
+  { tokens = 0, maxRetries, labels = {}, signal, stream = false } = {},
+  fn
+) {
+  const limiter = getLimiter(key);
+  const timeouts = getTimeouts(key);
+  maxRetries ??= readNumberEnv('UPSTREAM_MAX_RETRIES', 3);
+
+  for (let attempt = 0; ; attempt++) {
+    const release = await limiter.acquire(tokens, signal);
+    const call = createAttempt(signal);
+    const startedAt = Date.now();
+    let result;
+    try {
+      const [phase, timeoutMs] = stream
+        ? ['connect', timeouts.connectTimeoutMs]
+        : ['first-token', timeouts.firstTokenTimeoutMs];
+      result = await withTimeout(fn(call.signal), timeoutMs, () => call.timeout(phase, timeoutMs));
+    } catch (error) {
+      release();
+      call.dispose();
+      // 클라이언트가 연결을 끊었으면 재시도하지 않음
+      if (signal?.aborted) throw error;
+      recordUpstreamError(labels, error);
+      if (!isRetryableError(error) || attempt >= maxRetries) throw error;
+      const delay = getRetryDelayMs(error, attempt);
+      logger.warn('upstream error, retrying', {
+        upstream: key,
+        error: error.status ?? error.name,
+        delayMs: Math.round(delay),
+        attempt: attempt + 1,
+        maxRetries
+      });
+      await sleep(delay, undefined, { signal });
+      continue;
+    }
+    return holdUntilDone(result, { release, attempt: call, labels, startedAt, timeouts });
+  }
+}
+
+/**
+ * fallback 체인 순서대로 호출: 재시도 가능한 실패면 다음 대상으로 넘어감
+ * 다음 대상이 있으면 같은 대상에서 재시도하지 않고 바로 넘어가며, 마지막 대상만 재시도
+ * @param {{ provider: string, model: string, baseURL: string }[]} targets
+ * @param {{ tokens?: number, labels?: { mode: string, agent?: string }, signal?: AbortSignal, stream?: boolean }} options
+ *   callWithLimits 참고
+ * @param {(target: object, signal: AbortSignal) => Promise<any>} fn 대상별 업스트림 호출
+ * @returns {Promise<{ result: any, target: object }>}
+ */
+export async function callWithFallbacks(
+  targets,
+  { tokens = 0, labels = {}, signal, stream } = {},
+  fn
+) {
+  for (let i = 0; i < targets.length; i++) {
+    const target = targets[i];
+    const isLast = i === targets.length - 1;
+    try {
+      const result = await callWithLimits(
+        target.baseURL,
+        {
+          tokens,
+          maxRetries: isLast ? undefined : 0,
+          labels: { ...labels, upstream: `${target.provider}/${target.model}` },
+          signal,
+          stream
+        },
+        attemptSignal => fn(target, attemptSignal)
+      );
+      return { result, target };
+    } catch (error) {
+      if (isLast || signal?.aborted || !isRetryableError(error)) throw error;
+      const next = targets[i + 1];
+      logger.warn('upstream failed, switching to fallback', {
+        from: `${target.provider}/${target.model}`,
+        to: `${next.provider}/${next.model}`,
+        error: error.status ?? error.name
+      });
+    }
+  }
+  throw new Error('no upstream targets');
+}
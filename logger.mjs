@@ -0,0 +1,111 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * 구조화된 JSON 로거 (한 줄에 JSON 하나)
+ *
+ * LOG_LEVEL: debug | info(기본값) | warn | error | silent
+ *   {"time":"2025-01-01T00:00:00.000Z","level":"info","msg":"request completed","requestId":"req_...","totalMs":1234}
+ * 요청 처리 중에 남긴 로그에는 requestId 등 요청 컨텍스트가 자동으로 붙음 (withRequestContext)
+ * API 키 / 인증 헤더 / 토큰 같은 키의 값과 base64 데이터(이미지 data URL 등)는 출력 전에 가림
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const SECRET_KEY = /(api[-_]?key|authorization|auth[-_]?token|access[-_]?token|secret|password)/i;
+const DATA_URL = /data:([\w/+.-]+);base64,[A-Za-z0-9+/=]+/g;
+const BEARER = /(Bearer\s+)[\w.~+/-]+=*/gi;
+const SECRET_TOKEN = /\b(sk|pk|rk)-[\w-]{8,}/g;
+const BASE64 = /^[A-Za-z0-9+/\r\n]+={0,2}$/;
+// 이 길이 이상의 base64 문자열은 내용 대신 길이만 출력
+const MIN_BASE64_LENGTH = 200;
+const MAX_DEPTH = 8;
+
+const requestContext = new AsyncLocalStorage();
+
+function getLevel() {
+  const level = String(process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] ?? LEVELS.info;
+}
+
+function redactString(value) {
+  if (value.length >= MIN_BASE64_LENGTH && BASE64.test(value)) {
+    return `[base64 ${value.length} chars]`;
+  }
+  return value
+    .replace(DATA_URL, (match, mediaType) => `data:${mediaType};base64,[${match.length} chars]`)
+    .replace(BEARER, '$1[REDACTED]')
+    .replace(SECRET_TOKEN, '$1-[REDACTED]');
+}
+
+/**
+ * 로그에 남기면 안 되는 값을 가린 복사본
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[depth limit]';
+  if (value instanceof Error) {
+    return redact(
+      {
+        name: value.name,
+        message: value.message,
+        status: value.status,
+        stack: getLevel() <= LEVELS.debug ? value.stack : undefined
+      },
+      depth + 1
+    );
+  }
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEY.test(key) && item ? '[REDACTED]' : redact(item, depth + 1)
+    ])
+  );
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < getLevel()) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...requestContext.getStore(),
+    ...redact(fields ?? {})
+  };
+  const line = JSON.stringify(entry) + '\n';
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+/**
+ * 요청 컨텍스트(requestId 등)를 붙여 fn 실행, 그 안에서 남긴 로그에 컨텍스트가 포함됨
+ */
+export function withRequestContext(fields, fn) {
+  return requestContext.run({ ...requestContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * 현재 요청 컨텍스트에 값 추가 (예: 인증된 클라이언트 이름)
+ */
+export function addRequestContext(fields) {
+  const store = requestContext.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+/**
+ * 로그 레벨이 debug인지 (큰 객체를 만들기 전에 확인)
+ */
+export function isDebugEnabled() {
+  return getLevel() <= LEVELS.debug;
+}
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
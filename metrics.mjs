@@ -0,0 +1,154 @@
+/**
+ * Prometheus 텍스트 형식 메트릭 (GET /metrics)
+ *
+ *   http_requests_total{route,mode,status}            프록시 HTTP 요청 수
+ *   http_request_duration_seconds{route,mode}         프록시 HTTP 요청 처리 시간 (스트림 종료까지)
+ *   upstream_request_duration_seconds{mode,agent,upstream}   업스트림 호출 시간 (스트림 종료까지)
+ *   upstream_time_to_first_token_seconds{mode,agent,upstream} 업스트림 호출부터 첫 chunk까지
+ *   upstream_errors_total{mode,agent,upstream,status} 업스트림 실패 수 (재시도 포함, 연결 에러는 status="network")
+ *   upstream_rate_limited_total{mode,agent,upstream}  업스트림 429 응답 수
+ *   active_streams{mode}                              진행 중인 SSE 응답 수
+ * mode: normal | router, agent: 라우터 모드의 에이전트 이름 또는 "router" (일반 모드는 빈 값)
+ */
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, labels, extra = '') {
+  const pairs = labelNames.map(name => `${name}="${escapeLabel(labels[name])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function createMetric(type, name, help, labelNames) {
+  const metric = { type, name, help, labelNames, series: new Map() };
+  registry.push(metric);
+  return metric;
+}
+
+function getSeries(metric, labels, create) {
+  const key = labelKey(metric.labelNames, labels);
+  if (!metric.series.has(key)) metric.series.set(key, { labels: { ...labels }, ...create() });
+  return metric.series.get(key);
+}
+
+/**
+ * 증가만 하는 카운터
+ */
+function counter(name, help, labelNames = []) {
+  const metric = createMetric('counter', name, help, labelNames);
+  return {
+    inc(labels = {}, value = 1) {
+      getSeries(metric, labels, () => ({ value: 0 })).value += value;
+    }
+  };
+}
+
+/**
+ * 증감하는 값
+ */
+function gauge(name, help, labelNames = []) {
+  const metric = createMetric('gauge', name, help, labelNames);
+  return {
+    inc(labels = {}, value = 1) {
+      getSeries(metric, labels, () => ({ value: 0 })).value += value;
+    },
+    dec(labels = {}, value = 1) {
+      getSeries(metric, labels, () => ({ value: 0 })).value -= value;
+    }
+  };
+}
+
+/**
+ * 누적 bucket 히스토그램
+ */
+function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  const metric = createMetric('histogram', name, help, labelNames);
+  metric.buckets = buckets;
+  return {
+    observe(labels = {}, value) {
+      const series = getSeries(metric, labels, () => ({
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      }));
+      buckets.forEach((bound, index) => {
+        if (value <= bound) series.counts[index]++;
+      });
+      series.sum += value;
+      series.count++;
+    }
+  };
+}
+
+export const metrics = {
+  httpRequests: counter('http_requests_total', 'Proxy HTTP requests', ['route', 'mode', 'status']),
+  httpDuration: histogram(
+    'http_request_duration_seconds',
+    'Proxy HTTP request duration until the response ends',
+    ['route', 'mode']
+  ),
+  upstreamDuration: histogram(
+    'upstream_request_duration_seconds',
+    'Upstream call duration until the response ends',
+    ['mode', 'agent', 'upstream']
+  ),
+  upstreamTimeToFirstToken: histogram(
+    'upstream_time_to_first_token_seconds',
+    'Time from the upstream call to its first chunk',
+    ['mode', 'agent', 'upstream']
+  ),
+  upstreamErrors: counter('upstream_errors_total', 'Failed upstream calls including retries', [
+    'mode',
+    'agent',
+    'upstream',
+    'status'
+  ]),
+  upstreamRateLimited: counter('upstream_rate_limited_total', 'Upstream 429 responses', [
+    'mode',
+    'agent',
+    'upstream'
+  ]),
+  activeStreams: gauge('active_streams', 'SSE responses in progress', ['mode'])
+};
+
+/**
+ * 등록된 모든 메트릭을 Prometheus 텍스트 형식으로 출력
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(
+          `${metric.name}${formatLabels(metric.labelNames, series.labels)} ${series.value}`
+        );
+        continue;
+      }
+      metric.buckets.forEach((bound, index) => {
+        const labels = formatLabels(metric.labelNames, series.labels, `le="${bound}"`);
+        lines.push(`${metric.name}_bucket${labels} ${series.counts[index]}`);
+      });
+      const labels = formatLabels(metric.labelNames, series.labels);
+      lines.push(
+        `${metric.name}_bucket${formatLabels(metric.labelNames, series.labels, 'le="+Inf"')} ${series.count}`,
+        `${metric.name}_sum${labels} ${series.sum}`,
+        `${metric.name}_count${labels} ${series.count}`
+      );
+    }
+  }
+  return lines.join('\n') + '\n';
+}
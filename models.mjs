@@ -0,0 +1,382 @@
+import { getConfig } from './config.mjs';
+import { logger } from './logger.mjs';
+import { downlevelSchema } from './utils.mjs';
+
+/**
+ * 요청된 Claude 모델 이름 -> 업스트림 provider + model 매핑
+ *
+ * PROVIDERS: 추가 provider 정의 (기본 provider 'openai'는 OPENAI_BASE_URL / OPENAI_API_KEY)
+ *   PROVIDERS='{"deepseek":{"baseURL":"https://api.deepseek.com","apiKey":"sk-...","reasoningFormat":"none"}}'
+ *   reasoningFormat: 'effort'(reasoning_effort) | 'openrouter'(reasoning: { effort }) | 'none'(전달하지 않음)
+ *     기본값: openrouter.ai 주소는 'openrouter', OpenAI o 시리즈 / gpt-5 모델은 'effort', 나머지는 'none'
+ *   modelReasoningFormat: 모델 이름 패턴별 reasoningFormat (provider reasoningFormat 위에 덮어씀)
+ *   설정 파일(config.mjs)의 providers도 같은 형식으로 추가됨
+ *   params: 지원하는 요청 파라미터 선언 (선언하지 않은 파라미터는 그대로 전달)
+ *     false면 제거, { min, max }면 숫자를 범위 안으로, { maxItems }면 배열(stop 등)을 앞에서부터 자름,
+ *     { rename }이면 다른 이름으로 전달 (max_tokens -> max_completion_tokens 등)
+ *     기본값: stop은 최대 4개 (OpenAI 제한), top_k는 제거 (true 또는 { min, max }로 선언해야 전달),
+ *     OpenAI o 시리즈 / gpt-5 모델의 max_tokens는 max_completion_tokens로
+ *   modelParams: 모델 이름 패턴별 params (provider params 위에 덮어씀, 위에서부터 먼저 매칭)
+ *   toolSchema: 도구 input_schema 조정 방식
+ *     'gemini'(generativelanguage.googleapis.com 기본값: $ref 치환, format / additionalProperties 등 제거) | 'none'
+ *     | { inlineRefs: true, removeKeywords: ['format'] }
+ *   vision: 이미지 입력 지원 여부 / 제한 (false면 이미지를 설명 텍스트로 대체, images.mjs)
+ *     true(기본값) | false | { maxBytes, maxDimension, formats: ['image/png', ...], remoteUrls: false }
+ *     remoteUrls: false면 http(s) 이미지도 받아서 data URL로 전달 (base64만 받는 provider)
+ *   modelVision: 모델 이름 패턴별 vision (provider vision 위에 덮어씀, 코딩 / 추론 전용 모델 일부는 기본 false)
+ *   PROVIDERS='{"deepseek":{"baseURL":"...","params":{"top_k":false,"max_tokens":{"max":8192}},
+ *     "modelParams":{"deepseek-reasoner":{"temperature":false,"top_p":false,"tool_choice":false}}}}'
+ * MODEL_MAP: 패턴(* 와일드카드, 대소문자 무시) -> 모델 이름 또는 { provider, model }, 위에서부터 먼저 매칭
+ *   MODEL_MAP='{"*haiku*":"google/gemini-2.5-flash","*opus*":{"provider":"deepseek","model":"deepseek-reasoner"},"default":"google/gemini-2.5-pro"}'
+ *   값을 배열로 주면 앞에서부터 순서대로 시도하는 fallback 체인
+ *   MODEL_MAP='{"default":["google/gemini-2.5-pro",{"provider":"deepseek","model":"deepseek-chat"}]}'
+ *   설정 파일에 modelMap이 있으면 MODEL_MAP 대신 사용
+ */
+
+const DEFAULT_PROVIDER = 'openai';
+// provider가 선언하지 않아도 적용하는 파라미터 제한 (top_k는 OpenAI 등 대부분이 받지 않음)
+const DEFAULT_PARAMS = { stop: { maxItems: 4 }, top_k: false };
+// reasoningFormat을 선언하지 않아도 reasoning_effort를 받는 추론 모델 패턴
+const DEFAULT_REASONING_MODELS = ['o1*', 'o3*', 'o4*', 'gpt-5*'];
+// max_tokens 대신 max_completion_tokens만 받는 모델 패턴
+const DEFAULT_MODEL_PARAMS = Object.fromEntries(
+  ['o1*', 'o3*', 'o4*', 'gpt-5*'].map(pattern => [
+    pattern,
+    { max_tokens: { rename: 'max_completion_tokens' } }
+  ])
+);
+// toolSchema 이름 -> 도구 input_schema 조정 방식 (utils.mjs의 downlevelSchema 옵션)
+const SCHEMA_PRESETS = {
+  none: { inlineRefs: false, removeKeywords: [] },
+  gemini: {
+    inlineRefs: true,
+    removeKeywords: [
+      '$schema',
+      '$id',
+      '$comment',
+      'additionalProperties',
+      'patternProperties',
+      'format',
+      'default',
+      'examples'
+    ]
+  }
+};
+// provider가 선언하지 않아도 이미지를 볼 수 없는 것으로 취급하는 모델 패턴
+const DEFAULT_TEXT_ONLY_MODELS = [
+  'deepseek-chat*',
+  'deepseek-reasoner*',
+  'deepseek/deepseek-chat*',
+  'deepseek/deepseek-r1*',
+  '*coder*',
+  'qwq*'
+];
+// vision 제한 기본값 (여러 provider에서 공통으로 받는 크기 / 형식)
+const DEFAULT_VISION = {
+  maxBytes: 5 * 1024 * 1024,
+  maxDimension: 2048,
+  formats: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+  remoteUrls: true
+};
+const DEFAULT_MODEL = 'google/gemini-2.5-pro-preview';
+
+function parseJsonEnv(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (e) {
+    logger.warn(`invalid ${name}`, { error: e.message });
+    return {};
+  }
+}
+
+/**
+ * 사용 가능한 provider 목록 (이름 -> { baseURL, apiKey })
+ */
+export function getProviders() {
+  return {
+    [DEFAULT_PROVIDER]: {
+      baseURL: process.env.OPENAI_BASE_URL,
+      apiKey: process.env.OPENAI_API_KEY
+    },
+    ...parseJsonEnv('PROVIDERS'),
+    ...getConfig().providers
+  };
+}
+
+/**
+ * '*haiku*' 같은 와일드카드 패턴을 정규식으로 변환
+ */
+export function patternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function normalizeTarget(target) {
+  if (typeof target === 'string') {
+    return { provider: DEFAULT_PROVIDER, model: target };
+  }
+  return { provider: target?.provider || DEFAULT_PROVIDER, model: target?.model };
+}
+
+/**
+ * 모델 이름 또는 { provider, model }을 provider 접속 정보가 포함된 대상으로 변환
+ * @returns {{ provider: string, model: string, baseURL: string, apiKey: string }}
+ */
+export function resolveTarget(entry) {
+  const target = normalizeTarget(entry);
+  const provider = getProviders()[target.provider];
+  if (!provider) {
+    throw new Error(`provider not defined in PROVIDERS: ${target.provider}`);
+  }
+  return {
+    provider: target.provider,
+    model: target.model || process.env.OPENAI_MODEL || DEFAULT_MODEL,
+    baseURL: provider.baseURL,
+    apiKey: provider.apiKey,
+    reasoningFormat: provider.reasoningFormat,
+    modelReasoningFormat: provider.modelReasoningFormat,
+    params: provider.params,
+    modelParams: provider.modelParams,
+    toolSchema: provider.toolSchema,
+    vision: provider.vision,
+    modelVision: provider.modelVision
+  };
+}
+
+/**
+ * 요청된 모델 이름에 해당하는 업스트림 대상 목록 (첫 번째가 기본, 나머지는 fallback)
+ * @param {string} requestedModel
+ * @param {object} [modelMap] 클라이언트 키의 라우팅 프로필 modelMap (없으면 설정 / MODEL_MAP)
+ */
+export function resolveModelChain(requestedModel, modelMap) {
+  modelMap ??= getConfig().modelMap ?? parseJsonEnv('MODEL_MAP');
+  const name = String(requestedModel || '');
+
+  const matchedKey = Object.keys(modelMap).find(
+    key => key !== 'default' && patternToRegExp(key).test(name)
+  );
+  const entry = matchedKey
+    ? modelMap[matchedKey]
+    : (modelMap.default ?? (process.env.OPENAI_MODEL || DEFAULT_MODEL));
+  return (Array.isArray(entry) ? entry : [entry]).map(resolveTarget);
+}
+
+/**
+ * 앞서 응답한 provider / 모델만 남긴 대상 목록 (교정 요청 등, 목록에 없으면 그대로)
+ * @param {object[]} targets resolveTarget 형식의 업스트림 대상 목록
+ * @param {{ provider?: string, model?: string }} [pinned]
+ */
+export function pinTargets(targets, pinned) {
+  if (!pinned?.provider) return targets;
+  const target = targets.find(
+    item => item.provider === pinned.provider && item.model === pinned.model
+  );
+  return target ? [target] : targets;
+}
+
+/**
+ * 요청된 모델 이름에 해당하는 기본 업스트림 대상
+ */
+export function resolveModel(requestedModel, modelMap) {
+  return resolveModelChain(requestedModel, modelMap)[0];
+}
+
+/**
+ * 라우터 에이전트의 업스트림 대상 목록
+ * <PREFIX>_API_KEY / _BASE_URL / _MODEL이 기본, <PREFIX>_FALLBACKS(JSON 배열)가 fallback
+ *   예: CODER_AGENT_FALLBACKS='[{"provider":"openai","model":"gpt-4.1"}]'
+ */
+export function resolveAgentChain(prefix) {
+  const primary = {
+    provider: prefix.toLowerCase(),
+    model: process.env[`${prefix}_MODEL`],
+    baseURL: process.env[`${prefix}_BASE_URL`],
+    apiKey: process.env[`${prefix}_API_KEY`],
+    reasoningFormat: process.env[`${prefix}_REASONING_FORMAT`]
+  };
+  const fallbacks = parseJsonEnv(`${prefix}_FALLBACKS`);
+  return [primary, ...(Array.isArray(fallbacks) ? fallbacks : []).map(resolveTarget)];
+}
+
+function matchModelParams(modelParams = {}, model) {
+  const matched = Object.keys(modelParams).find(pattern =>
+    patternToRegExp(pattern).test(String(model))
+  );
+  return matched ? modelParams[matched] : {};
+}
+
+/**
+ * 대상 provider / 모델의 파라미터 지원 선언 (기본값 + 모델별 기본값 + provider params + 모델 패턴별 params)
+ * 같은 파라미터의 { min, max, rename } 선언은 합쳐짐 (boolean이면 덮어씀)
+ */
+export function getParamSupport(target) {
+  const layers = [
+    DEFAULT_PARAMS,
+    matchModelParams(DEFAULT_MODEL_PARAMS, target.model),
+    target.params ?? {},
+    matchModelParams(target.modelParams, target.model)
+  ];
+  const support = {};
+  for (const layer of layers) {
+    for (const [param, rule] of Object.entries(layer)) {
+      const previous = support[param];
+      support[param] =
+        typeof rule === 'object' && typeof previous === 'object' ? { ...previous, ...rule } : rule;
+    }
+  }
+  return support;
+}
+
+/**
+ * 대상 모델의 이미지 입력 지원 (modelVision 패턴 > provider vision > 기본 텍스트 전용 모델 목록)
+ * @returns {{ maxBytes: number, maxDimension: number, formats: string[], remoteUrls: boolean } | null}
+ *   이미지를 볼 수 없는 모델이면 null
+ */
+export function getVisionSupport(target) {
+  const model = String(target.model);
+  const modelVision = target.modelVision ?? {};
+  const matched = Object.keys(modelVision).find(pattern => patternToRegExp(pattern).test(model));
+  const vision = matched ? modelVision[matched] : target.vision;
+  if (vision === false) return null;
+  // provider의 제한 선언만으로는 모든 모델이 이미지를 본다고 보지 않음
+  if (
+    (vision === undefined || (!matched && typeof vision === 'object')) &&
+    DEFAULT_TEXT_ONLY_MODELS.some(pattern => patternToRegExp(pattern).test(model))
+  ) {
+    return null;
+  }
+  return {
+    ...DEFAULT_VISION,
+    ...(typeof target.vision === 'object' ? target.vision : {}),
+    ...(typeof vision === 'object' ? vision : {})
+  };
+}
+
+/**
+ * 대상 provider의 도구 스키마 조정 방식
+ * @returns {{ inlineRefs: boolean, removeKeywords: string[] }}
+ */
+export function getToolSchemaOptions(target) {
+  let option = target.toolSchema;
+  if (option === undefined) {
+    option = String(target.baseURL).includes('generativelanguage.googleapis.com')
+      ? 'gemini'
+      : 'none';
+  }
+  if (typeof option === 'string') {
+    if (!SCHEMA_PRESETS[option]) {
+      logger.warn('unknown toolSchema preset', { provider: target.provider, toolSchema: option });
+      return SCHEMA_PRESETS.none;
+    }
+    return SCHEMA_PRESETS[option];
+  }
+  return { inlineRefs: Boolean(option.inlineRefs), removeKeywords: option.removeKeywords ?? [] };
+}
+
+// 같은 경고를 요청마다 반복하지 않도록 한 번만 출력
+const warnedParams = new Set();
+
+function warnParam(target, param, action, fields = {}) {
+  const key = `${target.provider}/${target.model}\t${param}\t${action}`;
+  if (warnedParams.has(key)) return;
+  warnedParams.add(key);
+  logger.warn(`request parameter ${action} for upstream`, {
+    upstream: `${target.provider}/${target.model}`,
+    param,
+    ...fields
+  });
+}
+
+/**
+ * 지원 선언에 따라 파라미터 제거 / 범위 조정 / 이름 변경
+ */
+function applyParamSupport(params, target) {
+  const support = getParamSupport(target);
+  const result = { ...params };
+  for (const [param, rule] of Object.entries(support)) {
+    const value = result[param];
+    if (value === undefined || rule === true) continue;
+    if (rule === false) {
+      delete result[param];
+      warnParam(target, param, 'dropped');
+      continue;
+    }
+    if (typeof value === 'number') {
+      const clamped = Math.min(rule.max ?? Infinity, Math.max(rule.min ?? -Infinity, value));
+      if (clamped !== value) {
+        result[param] = clamped;
+        warnParam(target, param, 'clamped', { from: value, to: clamped });
+      }
+    } else if (
+      Array.isArray(value) &&
+      rule.maxItems !== undefined &&
+      value.length > rule.maxItems
+    ) {
+      result[param] = value.slice(0, rule.maxItems);
+      warnParam(target, param, 'clamped', { from: value.length, to: rule.maxItems });
+    }
+    if (rule.rename) {
+      result[rule.rename] = result[param];
+      delete result[param];
+    }
+  }
+  return result;
+}
+
+/**
+ * 도구 input_schema를 toolSchema 방식에 맞게 조정
+ */
+function adaptTools(params, target) {
+  const options = getToolSchemaOptions(target);
+  if (!params.tools?.length || (!options.inlineRefs && options.removeKeywords.length === 0)) {
+    return params;
+  }
+  return {
+    ...params,
+    tools: params.tools.map(tool => ({
+      ...tool,
+      function: { ...tool.function, parameters: downlevelSchema(tool.function.parameters, options) }
+    }))
+  };
+}
+
+/**
+ * 대상 provider가 지원하는 형식으로 요청 파라미터 조정
+ * (reasoning 형식 변환, 도구 스키마 조정 후 params / modelParams 선언에 따라 파라미터 제거 / 범위 조정)
+ * @param {object} params OpenAI 형식 요청 (model 포함)
+ * @param {{ provider: string, model: string, baseURL: string, reasoningFormat?: string, modelReasoningFormat?: object, params?: object, modelParams?: object, toolSchema?: string | object }} target
+ */
+export function adaptRequest(params, target) {
+  return applyParamSupport(adaptTools(adaptReasoning(params, target), target), target);
+}
+
+/**
+ * 대상 모델의 reasoning 전달 방식 (modelReasoningFormat 패턴 > provider reasoningFormat > 기본값)
+ * 추론 모델이 아닌 모델은 reasoning_effort를 받으면 400으로 거절하므로 선언이 없으면 알려진 추론 모델에만 전달
+ */
+function getReasoningFormat(target) {
+  const model = String(target.model);
+  const modelFormats = target.modelReasoningFormat ?? {};
+  const matched = Object.keys(modelFormats).find(pattern => patternToRegExp(pattern).test(model));
+  if (matched) return modelFormats[matched];
+  if (target.reasoningFormat) return target.reasoningFormat;
+  if (String(target.baseURL).includes('openrouter.ai')) return 'openrouter';
+  return DEFAULT_REASONING_MODELS.some(pattern => patternToRegExp(pattern).test(model))
+    ? 'effort'
+    : 'none';
+}
+
+function adaptReasoning(params, target) {
+  if (!params.reasoning_effort) return params;
+  const { reasoning_effort: effort, ...rest } = params;
+  switch (getReasoningFormat(target)) {
+    case 'openrouter':
+      return { ...rest, reasoning: { effort } };
+    case 'effort':
+      return params;
+    default:
+      warnParam(target, 'reasoning_effort', 'dropped');
+      return rest;
+  }
+}
@@ -1,163 +1,360 @@
-import { OpenAI } from 'openai';
-import { getOpenAICommonOptions } from './utils.mjs';
-
-const useToolRouter = {
-  name: 'use-tool',
-  description: `This agent can call user-specified tools to perform tasks. The user provides a list of tools to be used, and the agent integrates these tools to complete the specified tasks efficiently. The agent follows user instructions and ensures proper tool utilization for each request`,
-  run(args) {
-    const client = new OpenAI({
-      apiKey: process.env.TOOL_AGENT_API_KEY,
-      baseURL: process.env.TOOL_AGENT_BASE_URL,
-      ...getOpenAICommonOptions()
-    });
-    return client.chat.completions.create({
-      ...args,
-      messages: [
-        ...args.messages,
-        {
-          role: 'system',
-          content:
-            'You need to select the appropriate tool for the task based on the user’s request. Review the requirements and choose the tool that fits the task best.'
-        }
-      ],
-      model: process.env.TOOL_AGENT_MODEL
-    });
+import { completionToChunks } from './stream.mjs';
+import { addUsage } from './tokens.mjs';
+import { buildCorrectionRequest } from './tools.mjs';
+import { readNumberEnv } from './utils.mjs';
+import { createCompletion, getRouterTargets, loadAgents } from './agents.mjs';
+import { findMatchingRule, loadRules } from './rules.mjs';
+import { logger } from './logger.mjs';
+
+/**
+ * 중간 에이전트(final이 아닌 thinker / coder 등) 스트림을 텍스트 / 추론 delta로만 전달하면서 전체 결과를 모음
+ * usage와 finish_reason은 최종 응답 것만 클라이언트에 전달되도록 여기서 걸러냄
+ * @param {{ asThinking?: boolean }} [options] asThinking: 결과 텍스트도 thinking 블록으로 전달 (resultAsThinking)
+ * @returns {AsyncGenerator<object, string>} 모은 결과 텍스트를 반환
+ */
+async function* relayIntermediate(completion, usage, { asThinking = false } = {}) {
+  let text = '';
+  for await (const chunk of completion) {
+    addUsage(usage, chunk?.usage);
+    const delta = chunk?.choices?.[0]?.delta;
+    const reasoning = delta?.reasoning_content ?? delta?.reasoning;
+    if (typeof reasoning === 'string' && reasoning) {
+      yield { choices: [{ index: 0, delta: { reasoning_content: reasoning } }] };
+    }
+    const content = delta?.content;
+    if (!content) continue;
+    text += content;
+    yield {
+      choices: [{ index: 0, delta: asThinking ? { reasoning_content: content } : { content } }]
+    };
   }
-};
-
-const coderRouter = {
-  name: 'coder',
-  description: `This agent is solely responsible for helping users write code. This agent could not call tools. This agent is used for writing and modifying code when the user provides clear and specific coding requirements. For example, tasks like implementing a quicksort algorithm in JavaScript or creating an HTML layout. If the user's request is unclear or cannot be directly translated into code, please route the task to 'Thinker' first for clarification or further processing.`,
-  run(args) {
-    const client = new OpenAI({
-      apiKey: process.env.CODER_AGENT_API_KEY,
-      baseURL: process.env.CODER_AGENT_BASE_URL,
-      ...getOpenAICommonOptions()
-    });
-    delete args.tools;
-    args.messages.forEach(item => {
-      if (Array.isArray(item.content)) {
-        item.content = JSON.stringify(item.content);
-      }
-    });
-    return client.chat.completions.create({
-      ...args,
-      messages: [
-        ...args.messages,
-        {
-          role: 'system',
-          content:
-            'You are a code writer who helps users write code based on their specific requirements. You create algorithms, implement functionality, and build structures according to the clear instructions provided by the user. Your focus is solely on writing code, ensuring that the task is completed accurately and efficiently.'
-        }
-      ],
-      model: process.env.CODER_AGENT_MODEL
-    });
+  if (text && !asThinking) {
+    // 다음 hop의 출력과 구분
+    yield { choices: [{ index: 0, delta: { content: '\n\n' } }] };
+  }
+  return text;
+}
+
+// 디버그 엔드포인트에서 조회할 수 있도록 보관하는 최근 라우팅 trace 수
+const MAX_STORED_TRACES = 100;
+// trace -> 최종 응답을 만든 hop { agent, args, upstream } (교정 요청용, trace가 밀려나면 함께 해제)
+const finalHops = new WeakMap();
+
+function toTraceTokens(usage) {
+  return {
+    prompt_tokens: usage.prompt_tokens || 0,
+    completion_tokens: usage.completion_tokens || 0
+  };
+}
+
+/**
+ * 최종 에이전트 스트림을 그대로 전달하면서 끝났을 때 trace에 지연 시간 / 토큰 기록
+ */
+async function* traceFinal(completion, entry, startedAt) {
+  const hopUsage = {};
+  try {
+    for await (const chunk of completion) {
+      addUsage(hopUsage, chunk?.usage);
+      yield chunk;
+    }
+  } finally {
+    entry.latencyMs = Date.now() - startedAt;
+    entry.tokens = toTraceTokens(hopUsage);
+  }
+}
+
+export class Router {
+  /**
+   * @param {{ traces?: Map<string, object> }} [options] traces: 설정을 다시 읽어 새로 만들 때 이전 trace 유지
+   */
+  constructor({ traces = new Map() } = {}) {
+    // 설정 파일의 agents 또는 환경변수 기본 에이전트 (use-tool / coder / thinker)
+    this.routers = loadAgents();
+    // 더 이상 hop을 진행하지 않을 때 최종 응답을 만드는 에이전트
+    this.finalAgent = this.routers.find(agent => agent.final);
+    this.rules = loadRules();
+    // requestId -> { requestId, startedAt, hops }
+    this.traces = traces;
   }
-};
-
-const thinkRouter = {
-  name: 'thinker',
-  description: `This agent is used solely for complex reasoning and thinking tasks. It should not be called for information retrieval or repetitive, frequent requests. Only use this agent for tasks that require deep analysis or problem-solving. If there is an existing result from the Thinker agent, do not call this agent again.`,
-  run(args) {
-    const client = new OpenAI({
-      apiKey: process.env.THINK_AGENT_API_KEY,
-      baseURL: process.env.THINK_AGENT_BASE_URL,
-      ...getOpenAICommonOptions()
-    });
-    const messages = JSON.parse(JSON.stringify(args.messages));
-    messages.forEach(msg => {
-      if (Array.isArray(msg.content)) {
-        msg.content = JSON.stringify(msg.content);
-      }
-    });
 
-    let startIdx = messages.findIndex(msg => msg.role !== 'system');
-    if (startIdx === -1) startIdx = messages.length;
+  /**
+   * 라우팅 hop 수 / 같은 에이전트 반복 실행 제한
+   * ROUTER_MAX_HOPS: 요청당 최대 hop 수 (기본 5), 도달하면 첫 번째 final 에이전트로 최종 응답
+   * ROUTER_MAX_REPEATS: 요청당 같은 중간 에이전트 최대 실행 횟수 (기본 1)
+   */
+  getLimits() {
+    return {
+      maxHops: Math.max(1, readNumberEnv('ROUTER_MAX_HOPS', 5)),
+      maxRepeats: Math.max(1, readNumberEnv('ROUTER_MAX_REPEATS', 1))
+    };
+  }
+
+  /**
+   * 요청 id로 라우팅 trace 조회 (진행 중인 요청이면 지금까지의 hop)
+   */
+  getTrace(requestId) {
+    return this.traces.get(requestId) ?? null;
+  }
 
-    for (let i = startIdx; i < messages.length; i++) {
-      const expectedRole = (i - startIdx) % 2 === 0 ? 'user' : 'assistant';
-      messages[i].role = expectedRole;
+  /**
+   * 최근 라우팅 trace 목록 (최신순)
+   */
+  getRecentTraces() {
+    return [...this.traces.values()].reverse();
+  }
+
+  storeTrace(trace) {
+    this.traces.set(trace.requestId, trace);
+    while (this.traces.size > MAX_STORED_TRACES) {
+      this.traces.delete(this.traces.keys().next().value);
+    }
+  }
+
+  /**
+   * 규칙에 매칭되는 에이전트 (이미 실행한 중간 에이전트를 다시 고르는 규칙은 제외)
+   * @param {object[]} [rules] 클라이언트 키의 라우팅 프로필 규칙 (없으면 설정의 규칙)
+   */
+  selectByRules(args, ranAgents, rules = this.rules) {
+    const rule = findMatchingRule(rules, args, ranAgents);
+    if (!rule) return null;
+    const router = this.routers.find(item => item.name === rule.use);
+    if (!router) {
+      logger.warn('routing rule uses unknown agent', { agent: rule.use });
+      return null;
     }
+    logger.debug('agent selected by rule', { agent: router.name, when: rule.when || {} });
+    return router;
+  }
 
-    if (messages.length > 0 && messages[messages.length - 1].role === 'assistant') {
-      messages.push({
-        role: 'user',
-        content: 'Please follow the instructions provided above to resolve the issue.'
+  /**
+   * 요청을 라우팅하여 모든 hop의 출력을 OpenAI chunk 스트림으로 전달
+   * 중간 에이전트 출력도 생성되는 대로 전달되고, 마지막에 전체 hop의 usage chunk를 붙임
+   * @param {object} args OpenAI 형식 요청
+   * @param {{ usage?: object, upstream?: object, ranAgents?: Map<string, number>, requestId?: string, rules?: object[], signal?: AbortSignal }} [context]
+   *   usage: 이전 hop들의 usage 누적값 (재귀 호출 시 전달)
+   *   upstream: 최종 응답을 만든 provider / model을 기록할 객체
+   *   ranAgents: 이번 요청에서 실행한 중간 에이전트와 실행 횟수
+   *   requestId: 라우팅 trace를 조회할 때 쓰는 요청 id
+   *   rules: 이 요청에만 적용할 라우팅 규칙 (클라이언트 키의 라우팅 프로필)
+   *   signal: 클라이언트 연결이 끊기면 진행 중인 hop의 업스트림 호출을 취소하고 다음 hop으로 넘어가지 않음
+   */
+  async *route(args, context = {}) {
+    const usage = context.usage ?? {};
+    const upstream = context.upstream ?? {};
+    const ranAgents = context.ranAgents ?? new Map();
+    const trace = {
+      requestId: context.requestId ?? `route_${Date.now()}`,
+      startedAt: new Date().toISOString(),
+      hops: []
+    };
+    this.storeTrace(trace);
+    try {
+      yield* this.routeHop(args, {
+        usage,
+        upstream,
+        ranAgents,
+        trace,
+        rules: context.rules,
+        signal: context.signal
       });
+    } finally {
+      logger.info('routing trace', { hops: trace.hops });
+    }
+    if (usage.prompt_tokens || usage.completion_tokens) {
+      yield { choices: [], router_usage: usage };
     }
-    delete args.tools;
-    return client.chat.completions.create({
-      ...args,
-      messages,
-      model: process.env.THINK_AGENT_MODEL
-    });
   }
-};
 
-export class Router {
-  constructor() {
-    this.routers = [useToolRouter, coderRouter, thinkRouter];
-    this.client = new OpenAI({
-      apiKey: process.env.ROUTER_AGENT_API_KEY,
-      baseURL: process.env.ROUTER_AGENT_BASE_URL,
-      ...getOpenAICommonOptions()
-    });
+  /**
+   * 최종 응답의 tool call 인자 교정 요청을 다시 라우팅하지 않고 그 응답을 만든 에이전트 / 업스트림으로 보냄
+   * 기존 trace에 correction hop으로 추가
+   * @param {object[]} toolCalls 교정할 응답의 모든 tool call (buildCorrectionRequest 형식)
+   * @param {{ upstream?: object, requestId: string, signal?: AbortSignal }} context
+   */
+  async *correct(toolCalls, { upstream = {}, requestId, signal }) {
+    const trace = this.getTrace(requestId);
+    const final = trace && finalHops.get(trace);
+    if (!final) throw new Error(`no routed response to correct: ${requestId}`);
+    // 라우터 LLM이 직접 답한 경우는 final 에이전트로
+    const agent = final.agent ?? this.finalAgent;
+    const entry = { hop: trace.hops.length + 1, agent: agent.name, via: 'correction' };
+    trace.hops.push(entry);
+    const args = buildCorrectionRequest(final.args, toolCalls);
+    const hopUpstream = {};
+    const startedAt = Date.now();
+    try {
+      const completion = await agent.run(args, hopUpstream, {
+        signal,
+        pinned: final.agent ? final.upstream : undefined
+      });
+      entry.model = `${hopUpstream.provider}/${hopUpstream.model}`;
+      Object.assign(upstream, hopUpstream);
+      yield* traceFinal(
+        args.stream ? completion : completionToChunks(completion),
+        entry,
+        startedAt
+      );
+    } finally {
+      logger.info('routing trace', { hops: trace.hops });
+    }
   }
-  async route(args) {
-    const res = await this.client.chat.completions.create({
-      ...args,
-      messages: [
-        ...args.messages,
-        {
-          role: 'system',
-          content: `You are an AI task router that receives user requests and forwards them to the appropriate AI models for task handling. You do not process any requests directly but are responsible for understanding the user's request and choosing the correct router based on the task and necessary steps. The available routers are: ${JSON.stringify(
-            this.routers.map(router => {
-              return {
-                name: router.name,
-                description: router.description
-              };
-            })
-          )}. Each router is designated for specific types of tasks, and you ensure that the request is routed accordingly for efficient processing. Use the appropriate router based on the user’s request:
-
-If external tools are needed to gather more information, use the 'use-tool' router.
-If the task involves writing code, use the 'coder' router.
-If deep reasoning or analysis is required to break down steps, use the 'thinker' router.
-Instead, format your response as a JSON object with one field: 'use' (string)`
-        }
-      ],
-      model: process.env.ROUTER_AGENT_MODEL,
-      stream: false
-    });
+
+  /**
+   * LLM 라우터에게 다음 에이전트를 물어봄
+   * @returns {Promise<{ router?: object, completion: object }>} 에이전트를 고르지 못하면 router 없이 라우터 응답만 반환
+   */
+  async askRouter(args, upstream, options) {
+    const completion = await createCompletion(
+      'router',
+      getRouterTargets(),
+      {
+        ...args,
+        stream_options: undefined,
+        // 라우터는 도구 대신 JSON으로 답해야 하므로 강제 도구 호출은 전달하지 않음
+        tool_choice: undefined,
+        parallel_tool_calls: undefined,
+        messages: [
+          ...args.messages,
+          {
+            role: 'system',
+            content: `You are an AI task router that receives user requests and forwards them to the appropriate AI models for task handling. You do not process any requests directly but are responsible for understanding the user's request and choosing the correct router based on the task and necessary steps. The available routers are: ${JSON.stringify(
+              this.routers.map(router => {
+                return {
+                  name: router.name,
+                  description: router.description
+                };
+              })
+            )}. Each router is designated for specific types of tasks, and you ensure that the request is routed accordingly for efficient processing. Use the appropriate router based on the user’s request:
+
+${this.routers
+  .filter(router => router.routingHint)
+  .map(router => `${router.routingHint}\n`)
+  .join('')}Instead, format your response as a JSON object with one field: 'use' (string)`
+          }
+        ],
+        stream: false
+      },
+      upstream,
+      options
+    );
     let result;
     try {
-      const text = res.choices[0].message.content;
+      const text = completion.choices[0].message.content;
       result = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
     } catch (e) {
-      console.log(e);
-      res.choices[0].delta = res.choices[0].message;
-      return [res];
+      logger.warn('router response is not a JSON agent choice', { error: e.message });
+      return { completion };
+    }
+    return { router: this.routers.find(item => item.name === result.use), completion };
+  }
+
+  /**
+   * 에이전트 하나를 선택해 실행 (final이 아니면 결과를 대화에 추가하고 다음 hop으로)
+   * 최대 hop 수에 도달했거나 같은 에이전트를 반복해서 고르면 final 에이전트로 최종 응답
+   */
+  async *routeHop(args, { usage, upstream, ranAgents, trace, rules, signal }) {
+    signal?.throwIfAborted();
+    const { maxHops, maxRepeats } = this.getLimits();
+    const entry = { hop: trace.hops.length + 1, agent: null, via: null };
+    trace.hops.push(entry);
+
+    let router = null;
+    if (entry.hop >= maxHops) {
+      router = this.finalAgent;
+      entry.via = 'max-hops';
+      logger.warn('router hop limit reached', { maxHops, agent: router.name });
+    } else {
+      // 규칙이 매칭되면 LLM 라우터 호출 없이 바로 에이전트 실행
+      router = this.selectByRules(args, ranAgents, rules);
+      entry.via = 'rule';
     }
-    const router = this.routers.find(item => item.name === result.use);
     if (!router) {
-      res.choices[0].delta = res.choices[0].message;
-      return [res];
+      const routerUpstream = {};
+      const startedAt = Date.now();
+      const { router: selected, completion } = await this.askRouter(args, routerUpstream, {
+        signal
+      });
+      entry.via = 'llm';
+      entry.router = {
+        model: `${routerUpstream.provider}/${routerUpstream.model}`,
+        latencyMs: Date.now() - startedAt,
+        tokens: toTraceTokens(completion.usage ?? {})
+      };
+      if (!selected) {
+        // 라우터가 에이전트를 고르지 못하면 라우터 응답을 그대로 전달
+        entry.agent = null;
+        Object.assign(upstream, routerUpstream);
+        finalHops.set(trace, { agent: null, args, upstream: routerUpstream });
+        yield* completionToChunks(completion);
+        return;
+      }
+      addUsage(usage, completion.usage);
+      router = selected;
     }
-    if (router.name === 'thinker' || router.name === 'coder') {
-      const agentResult = await router.run({
-        ...args,
-        stream: false
+
+    if ((ranAgents.get(router.name) || 0) >= maxRepeats) {
+      logger.warn('router loop detected', {
+        repeatedAgent: router.name,
+        maxRepeats,
+        agent: this.finalAgent.name
       });
-      try {
-        args.messages.push({
-          role: 'assistant',
-          content: `${router.name} Agent Result: ` + agentResult.choices[0].message.content
+      entry.loopDetected = router.name;
+      router = this.finalAgent;
+    }
+    entry.agent = router.name;
+
+    const hopUpstream = {};
+    const startedAt = Date.now();
+    if (!router.final) {
+      ranAgents.set(router.name, (ranAgents.get(router.name) || 0) + 1);
+      const hopUsage = {};
+      let agentText;
+      if (args.stream) {
+        // 스트리밍 요청이면 중간 결과도 생성되는 대로 클라이언트에 전달
+        const completion = await router.run({ ...args }, hopUpstream, { signal });
+        entry.model = `${hopUpstream.provider}/${hopUpstream.model}`;
+        agentText = yield* relayIntermediate(completion, hopUsage, {
+          asThinking: router.resultAsThinking
         });
-        return await this.route(args);
-      } catch (error) {
-        console.log(agentResult);
-        throw error;
+      } else {
+        const agentResult = await router.run(
+          {
+            ...args,
+            stream: false,
+            stream_options: undefined
+          },
+          hopUpstream,
+          { signal }
+        );
+        entry.model = `${hopUpstream.provider}/${hopUpstream.model}`;
+        addUsage(hopUsage, agentResult.usage);
+        agentText = agentResult.choices?.[0]?.message?.content;
+        if (typeof agentText !== 'string') {
+          logger.error('agent response has no content', { agent: router.name, agentResult });
+          throw new Error(`${router.name} agent response has no content`);
+        }
       }
+      entry.latencyMs = Date.now() - startedAt;
+      entry.tokens = toTraceTokens(hopUsage);
+      addUsage(usage, hopUsage);
+      Object.assign(upstream, hopUpstream);
+      // 호출한 쪽의 요청(messages)은 바꾸지 않고 hop마다 새 메시지 배열로
+      const nextArgs = {
+        ...args,
+        messages: [
+          ...args.messages,
+          { role: 'assistant', content: `${router.name} Agent Result: ` + agentText }
+        ]
+      };
+      yield* this.routeHop(nextArgs, { usage, upstream, ranAgents, trace, rules, signal });
+      return;
     }
-    return router.run(args);
+
+    const completion = await router.run(args, hopUpstream, { signal });
+    entry.model = `${hopUpstream.provider}/${hopUpstream.model}`;
+    Object.assign(upstream, hopUpstream);
+    finalHops.set(trace, { agent: router, args, upstream: hopUpstream });
+    // 비스트리밍 요청이면 스트림과 같은 방식으로 처리할 수 있도록 chunk로 변환
+    yield* traceFinal(args.stream ? completion : completionToChunks(completion), entry, startedAt);
   }
 }
@@ -0,0 +1,123 @@
+import { patternToRegExp } from './models.mjs';
+import { getConfig } from './config.mjs';
+import { RULES_SCHEMA, validate } from './schema.mjs';
+import { logger } from './logger.mjs';
+import { estimateRequestTokens } from './tokens.mjs';
+
+/**
+ * 라우터 모드의 규칙 기반 에이전트 선택 (LLM 라우터 호출 전에 적용)
+ *
+ * ROUTER_RULES: 위에서부터 먼저 매칭되는 규칙의 에이전트를 사용, when의 조건은 모두 만족해야 함
+ *   ROUTER_RULES='[
+ *     {"when":{"lastMessageIsToolResult":true},"use":"use-tool"},
+ *     {"when":{"model":"*haiku*"},"use":"use-tool"},
+ *     {"when":{"minTokens":60000,"hasTools":false},"use":"thinker"},
+ *     {"when":{"lastUserMessage":"implement|refactor"},"use":"coder"}
+ *   ]'
+ * 조건: minTokens, maxTokens, hasTools, hasImages, lastMessageIsToolResult,
+ *       model(요청된 Claude 모델 이름, * 와일드카드), systemPrompt / lastUserMessage(정규식, 대소문자 무시)
+ * when이 빈 규칙은 항상 매칭되므로 마지막에 두면 LLM 라우터를 쓰지 않는 규칙 전용 모드가 됨
+ * 설정 파일에 rules가 있으면 ROUTER_RULES 대신 사용 (알 수 없는 조건이 있으면 설정 / ROUTER_RULES 전체를 거부)
+ */
+
+/**
+ * 설정 파일의 rules 또는 ROUTER_RULES 환경변수 파싱
+ */
+export function loadRules() {
+  const { rules } = getConfig();
+  if (rules) return rules;
+  if (!process.env.ROUTER_RULES) return [];
+  try {
+    const rules = JSON.parse(process.env.ROUTER_RULES);
+    const errors = validate(rules, RULES_SCHEMA);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    return rules;
+  } catch (e) {
+    logger.warn('invalid ROUTER_RULES', { error: e.message });
+    return [];
+  }
+}
+
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(part => part?.type === 'text')
+    .map(part => part.text)
+    .join('\n');
+}
+
+/**
+ * 규칙 조건 판단에 필요한 요청 특성 추출 (OpenAI 형식 요청 기준)
+ */
+export function getRequestFeatures(args) {
+  const messages = args.messages || [];
+  const conversation = messages.filter(msg => msg.role !== 'system');
+  const last = conversation[conversation.length - 1];
+  const beforeLast = conversation[conversation.length - 2];
+  const lastUser = [...conversation].reverse().find(msg => msg.role === 'user');
+
+  return {
+    model: String(args.model || ''),
+    tokens: estimateRequestTokens(args),
+    hasTools: Array.isArray(args.tools) && args.tools.length > 0,
+    hasImages: messages.some(
+      msg => Array.isArray(msg.content) && msg.content.some(part => part?.type === 'image_url')
+    ),
+    // tool_result는 tool 메시지로 변환되며, 함께 온 텍스트/이미지는 바로 뒤 user 메시지가 됨
+    lastMessageIsToolResult:
+      last?.role === 'tool' || (last?.role === 'user' && beforeLast?.role === 'tool'),
+    systemPrompt: messages
+      .filter(msg => msg.role === 'system')
+      .map(msg => contentToText(msg.content))
+      .join('\n'),
+    lastUserMessage: contentToText(lastUser?.content)
+  };
+}
+
+function testRegExp(pattern, text) {
+  try {
+    return new RegExp(pattern, 'i').test(text);
+  } catch (e) {
+    logger.warn('invalid regular expression in routing rule', { pattern, error: e.message });
+    return false;
+  }
+}
+
+/**
+ * 규칙의 when 조건을 모두 만족하는지 확인
+ */
+export function matchesRule(when = {}, features) {
+  return Object.entries(when).every(([key, expected]) => {
+    switch (key) {
+      case 'minTokens':
+        return features.tokens >= expected;
+      case 'maxTokens':
+        return features.tokens <= expected;
+      case 'hasTools':
+      case 'hasImages':
+      case 'lastMessageIsToolResult':
+        return features[key] === expected;
+      case 'model':
+        return patternToRegExp(expected).test(features.model);
+      case 'systemPrompt':
+      case 'lastUserMessage':
+        return testRegExp(expected, features[key]);
+      default:
+        logger.warn('unknown routing rule condition', { condition: key });
+        return false;
+    }
+  });
+}
+
+/**
+ * 첫 번째로 매칭되는 규칙 반환 (excluded에 있는 에이전트를 고르는 규칙은 건너뜀)
+ * @param {object[]} rules
+ * @param {object} args OpenAI 형식 요청
+ * @param {Set<string> | Map<string, number>} [excluded]
+ */
+export function findMatchingRule(rules, args, excluded = new Set()) {
+  if (rules.length === 0) return null;
+  const features = getRequestFeatures(args);
+  return rules.find(rule => !excluded.has(rule.use) && matchesRule(rule.when, features)) || null;
+}
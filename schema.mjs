@@ -0,0 +1,332 @@
+/**
+ * 설정 파일 스키마와 검증
+ *
+ * JSON Schema의 일부(type, enum, properties, required, additionalProperties, items, minimum, maximum,
+ * minItems, minLength)만 지원하는 간단한 검증기. 에러는 "agents[1].tools: must be boolean (got string)" 형식
+ */
+
+const TARGET = {
+  type: ['string', 'object'],
+  properties: {
+    provider: { type: 'string' },
+    model: { type: 'string' }
+  },
+  additionalProperties: false
+};
+
+const TARGET_OBJECT = { ...TARGET, type: 'object' };
+
+const FALLBACKS = { type: 'array', items: TARGET_OBJECT };
+
+const AGENT = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    routingHint: { type: 'string' },
+    provider: { type: 'string' },
+    model: { type: 'string' },
+    fallbacks: FALLBACKS,
+    systemPrompt: { type: 'string' },
+    tools: { type: 'boolean' },
+    final: { type: 'boolean' },
+    resultAsThinking: { type: 'boolean' },
+    normalize: {
+      type: 'object',
+      properties: {
+        stringifyContent: { type: 'boolean' },
+        alternateRoles: { type: 'boolean' }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+const MODEL_MAP = {
+  type: 'object',
+  additionalProperties: { ...TARGET, type: ['string', 'object', 'array'], items: TARGET }
+};
+
+// 라우팅 규칙 조건 (rules.mjs의 matchesRule), 알 수 없는 조건은 규칙이 매칭되지 않으므로 거부
+const RULE_CONDITIONS = {
+  type: 'object',
+  properties: {
+    minTokens: { type: 'number' },
+    maxTokens: { type: 'number' },
+    hasTools: { type: 'boolean' },
+    hasImages: { type: 'boolean' },
+    lastMessageIsToolResult: { type: 'boolean' },
+    model: { type: 'string' },
+    systemPrompt: { type: 'string' },
+    lastUserMessage: { type: 'string' }
+  },
+  additionalProperties: false
+};
+
+export const RULES_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['use'],
+    properties: {
+      when: RULE_CONDITIONS,
+      use: { type: 'string' }
+    },
+    additionalProperties: false
+  }
+};
+
+const MODE = { enum: ['normal', 'router'] };
+
+// 이미지 입력 지원 여부(boolean) 또는 제한
+const VISION = {
+  type: ['boolean', 'object'],
+  properties: {
+    maxBytes: { type: 'integer', minimum: 1 },
+    maxDimension: { type: 'integer', minimum: 1 },
+    formats: { type: 'array', items: { type: 'string' } },
+    remoteUrls: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+const REASONING_FORMAT = { enum: ['effort', 'openrouter', 'none'] };
+
+// 요청 파라미터 이름 -> 지원 여부(boolean) 또는 { min, max, maxItems, rename }
+const PARAM_SUPPORT = {
+  type: 'object',
+  additionalProperties: {
+    type: ['boolean', 'object'],
+    properties: {
+      min: { type: 'number' },
+      max: { type: 'number' },
+      maxItems: { type: 'integer', minimum: 0 },
+      rename: { type: 'string', minLength: 1 }
+    },
+    additionalProperties: false
+  }
+};
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    server: {
+      type: 'object',
+      properties: {
+        port: { type: 'integer', minimum: 1, maximum: 65535 },
+        host: { type: 'string' },
+        bodyLimit: { type: ['string', 'integer'] }
+      },
+      additionalProperties: false
+    },
+    mode: MODE,
+    providers: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['baseURL'],
+        properties: {
+          baseURL: { type: 'string' },
+          apiKey: { type: 'string' },
+          reasoningFormat: REASONING_FORMAT,
+          modelReasoningFormat: { type: 'object', additionalProperties: REASONING_FORMAT },
+          params: PARAM_SUPPORT,
+          modelParams: { type: 'object', additionalProperties: PARAM_SUPPORT },
+          toolSchema: {
+            type: ['string', 'object'],
+            properties: {
+              inlineRefs: { type: 'boolean' },
+              removeKeywords: { type: 'array', items: { type: 'string' } }
+            },
+            additionalProperties: false
+          },
+          vision: VISION,
+          modelVision: { type: 'object', additionalProperties: VISION }
+        },
+        additionalProperties: false
+      }
+    },
+    modelMap: MODEL_MAP,
+    router: {
+      type: 'object',
+      properties: {
+        provider: { type: 'string' },
+        model: { type: 'string' },
+        fallbacks: FALLBACKS
+      },
+      additionalProperties: false
+    },
+    agents: { type: 'array', minItems: 1, items: AGENT },
+    rules: RULES_SCHEMA,
+    auth: {
+      type: 'object',
+      properties: {
+        keys: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['key'],
+            properties: {
+              name: { type: 'string' },
+              key: { type: 'string' },
+              models: { type: 'array', items: { type: 'string' } },
+              profile: { type: 'string' },
+              admin: { type: 'boolean' }
+            },
+            additionalProperties: false
+          }
+        }
+      },
+      additionalProperties: false
+    },
+    tools: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1 },
+        selection: { enum: ['first', 'relevance'] },
+        exclude: { type: 'array', items: { type: 'string' } },
+        invalidArguments: { enum: ['error', 'retry', 'ignore'] }
+      },
+      additionalProperties: false
+    },
+    images: {
+      type: 'object',
+      properties: {
+        allowedDirs: { type: 'array', items: { type: 'string' } },
+        maxFileBytes: { type: 'integer', minimum: 1 },
+        visionModel: MODEL_MAP.additionalProperties
+      },
+      additionalProperties: false
+    },
+    usage: {
+      type: 'object',
+      properties: {
+        file: { type: 'string' }
+      },
+      additionalProperties: false
+    },
+    pricing: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          input: { type: 'number', minimum: 0 },
+          cachedInput: { type: 'number', minimum: 0 },
+          output: { type: 'number', minimum: 0 }
+        },
+        additionalProperties: false
+      }
+    },
+    budgets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          client: { type: 'string' },
+          model: { type: 'string' },
+          daily: { type: 'number', minimum: 0 },
+          monthly: { type: 'number', minimum: 0 },
+          action: { enum: ['reject', 'downgrade'] },
+          downgradeTo: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    },
+    profiles: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          mode: MODE,
+          modelMap: MODEL_MAP,
+          rules: RULES_SCHEMA
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * 값을 스키마로 검증하여 에러 메시지 목록 반환 (없으면 빈 배열)
+ * @param {unknown} value
+ * @param {object} schema
+ * @param {string} [path] 에러 메시지에 표시할 위치
+ * @returns {string[]}
+ */
+export function validate(value, schema, path = '') {
+  const where = path || '(root)';
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [
+      `${where}: must be one of ${schema.enum.map(item => JSON.stringify(item)).join(' | ')}`
+    ];
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${where}: must be ${types.join(' or ')} (got ${typeOf(value)})`];
+    }
+  }
+
+  const errors = [];
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${where}: must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${where}: must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined) {
+    if (value.length < schema.minLength) {
+      errors.push(`${where}: length must be at least ${schema.minLength}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${where}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, joinPath(path, index)));
+      });
+    }
+  } else if (typeOf(value) === 'object') {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) errors.push(`${joinPath(path, key)}: is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(...validate(item, propertySchema, joinPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${joinPath(path, key)}: unknown property`);
+      } else if (schema.additionalProperties) {
+        errors.push(...validate(item, schema.additionalProperties, joinPath(path, key)));
+      }
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,520 @@
+import { createHash } from 'crypto';
+import { toAnthropicToolId } from './converter.mjs';
+import { addUsage, estimateOutputTokens, getCachedTokens } from './tokens.mjs';
+import { checkToolArguments } from './tools.mjs';
+import { logger } from './logger.mjs';
+
+/**
+ * OpenAI usage를 Anthropic usage로 변환 (input_tokens에는 캐시 적중분 제외)
+ */
+export function toAnthropicUsage(usage) {
+  const cached = getCachedTokens(usage);
+  return {
+    input_tokens: Math.max(0, (usage.prompt_tokens || 0) - cached),
+    output_tokens: usage.completion_tokens || 0,
+    cache_creation_input_tokens: 0,
+    cache_read_input_tokens: cached
+  };
+}
+
+/**
+ * 업스트림 finish_reason을 Anthropic stop_reason / stop_sequence로 변환
+ * OpenAI 호환 API는 어느 stop 문자열에서 멈췄는지 알려주지 않고 출력에서도 빼므로,
+ * 업스트림이 알려주거나 출력이 stop 문자열로 끝날 때만 stop_sequence이고 그 외에는 end_turn
+ * @param {object} choice 마지막 finish_reason이 담긴 choice
+ * @param {{ hasToolUse: boolean, stopSequences: string[], text?: string }} context text: 마지막 text 블록
+ */
+export function mapFinishReason(choice, { hasToolUse, stopSequences, text = '' }) {
+  const finishReason = choice?.finish_reason;
+  switch (finishReason) {
+    case 'tool_calls':
+    case 'function_call':
+      return { stopReason: 'tool_use', stopSequence: null };
+    case 'length':
+      return { stopReason: 'max_tokens', stopSequence: null };
+    case 'content_filter':
+      return { stopReason: 'refusal', stopSequence: null };
+    case 'stop': {
+      // 일부 업스트림(Gemini 등)은 tool call이 있어도 stop을 반환
+      if (hasToolUse) return { stopReason: 'tool_use', stopSequence: null };
+      // vLLM 등은 매칭된 stop 문자열을 choice.stop_reason / matched_stop으로 알려주고, 출력에 포함해 보내는 업스트림도 있음
+      const matched =
+        [choice.stop_reason, choice.matched_stop].find(
+          value => typeof value === 'string' && stopSequences.includes(value)
+        ) ?? stopSequences.find(value => value && text.endsWith(value));
+      return matched
+        ? { stopReason: 'stop_sequence', stopSequence: matched }
+        : { stopReason: 'end_turn', stopSequence: null };
+    }
+    default:
+      // finish_reason이 없으면 tool_use 블록 존재 여부로 판단
+      return { stopReason: hasToolUse ? 'tool_use' : 'end_turn', stopSequence: null };
+  }
+}
+
+/**
+ * OpenAI 스트림 chunk를 Anthropic SSE 이벤트(content_block_start / delta / stop)로 변환
+ * reasoning_content / reasoning은 thinking 블록으로, tool call은 업스트림 index별로 따로 추적하여 병렬 tool call을 각각의 tool_use 블록으로 전달
+ * (bufferToolCalls이면 tool call 인자를 끝까지 받은 뒤 깨진 JSON을 복구하고 input_schema로 검증하여 한 번에 전달)
+ * 병렬 tool call 조각이 섞여 오면 인자가 끝나지 않은 tool_use 블록의 content_block_stop과 그 뒤 이벤트를 인자가 완성될 때까지 보류
+ */
+export class StreamTranslator {
+  /**
+   * @param {(event: string, data: object) => void} [emit] SSE 이벤트 전송 함수 (비스트리밍 응답이면 생략)
+   * @param {{ stopSequences?: string[], inputTokens?: number, toolNames?: { toOriginal(name: string): string }, toolSchemas?: Map<string, object>, bufferToolCalls?: boolean }} [options]
+   *   inputTokens: 업스트림이 usage를 주지 않을 때 사용할 입력 토큰 추정치
+   *   toolNames: 요청 변환 때 만든 도구 이름 매핑 (tool_use 블록에 원래 도구 이름을 돌려줌)
+   *   toolSchemas: tool call 인자를 검증할 도구별 input_schema (tools.mjs의 getToolSchemas)
+   *   bufferToolCalls: 첫 tool call부터의 이벤트를 finish까지 보류하고 복구 / 검증한 인자로 전송 (교정 요청 시 버릴 수 있게)
+   */
+  constructor(
+    emit = () => {},
+    { stopSequences = [], inputTokens = 0, toolNames, toolSchemas, bufferToolCalls = false } = {}
+  ) {
+    this.emit = emit;
+    this.stopSequences = stopSequences;
+    this.toolNames = toolNames;
+    this.toolSchemas = toolSchemas;
+    this.bufferToolCalls = bufferToolCalls;
+    this.inputTokens = inputTokens;
+    // 최종 응답을 만든 업스트림 호출의 usage
+    this.upstreamUsage = null;
+    // 라우터 모드에서 앞선 라우터/에이전트 호출들의 usage 합계
+    this.priorUsage = {};
+    this.usage = null;
+    this.id = null;
+    this.model = null;
+    this.finishChoice = null;
+    this.stopReason = null;
+    this.stopSequence = null;
+    this.contentBlocks = [];
+    // 현재 열려 있는 블록 { type, index, toolIndex? }
+    this.openBlock = null;
+    // 업스트림 tool call index -> { blockIndex, id, upstreamId, upstreamName, name, json, complete, checked }
+    this.toolCalls = new Map();
+    // 마지막으로 시작된 tool call의 index (index 없는 이어지는 조각용)
+    this.lastToolIndex = null;
+    // bufferToolCalls일 때 보류 중인 이벤트 ({ event, data } 또는 인자 자리 { toolIndex })
+    this.held = null;
+    // 인자가 끝나지 않은 채 닫힌 tool_use 블록의 content_block_stop부터 보류 중인 이벤트 ({ event, data, toolIndex? })
+    this.pending = [];
+    // 교정 응답에서 첫 tool call 전의 text / thinking은 이미 보낸 블록을 반복하므로 버림
+    this.skipLeadingText = false;
+  }
+
+  /**
+   * 블록 이벤트 전송 (보류 중이면 finish 또는 앞선 tool call 인자가 완성될 때까지 쌓아 둠)
+   */
+  send(event, data) {
+    if (this.held) {
+      this.held.push({ event, data });
+    } else if (this.pending.length > 0) {
+      this.pending.push({ event, data });
+    } else {
+      this.emit(event, data);
+    }
+  }
+
+  /**
+   * 보류 중인 이벤트를 인자가 아직 끝나지 않은 tool_use 블록의 content_block_stop 앞까지 전송
+   * @param {boolean} [all] true면 끝나지 않은 블록도 받은 만큼으로 닫고 모두 전송 (finish)
+   */
+  flushPending(all = false) {
+    while (this.pending.length > 0) {
+      const { toolIndex } = this.pending[0];
+      if (!all && toolIndex !== undefined && !this.toolCalls.get(toolIndex).complete) return;
+      const { event, data } = this.pending.shift();
+      this.emit(event, data);
+    }
+  }
+
+  start({ id, model }) {
+    this.id = id;
+    this.model = model;
+    this.emit('message_start', {
+      type: 'message_start',
+      message: {
+        id,
+        type: 'message',
+        role: 'assistant',
+        content: [],
+        model,
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: this.inputTokens, output_tokens: 0 }
+      }
+    });
+  }
+
+  /**
+   * 업스트림 chunk 하나 처리
+   */
+  push(chunk) {
+    // usage는 choices가 비어 있는 마지막 chunk로 오는 경우가 많음
+    if (chunk?.usage) {
+      this.upstreamUsage = chunk.usage;
+    }
+    if (chunk?.router_usage) {
+      addUsage(this.priorUsage, chunk.router_usage);
+    }
+
+    // 방어적 코딩: chunk, choices, choices[0], delta 존재 여부 체크
+    const choice = chunk?.choices?.[0];
+    if (choice?.finish_reason) {
+      this.finishChoice = choice;
+    }
+    const delta = choice?.delta;
+    if (!delta) return;
+
+    // DeepSeek 등은 reasoning_content, OpenRouter는 reasoning으로 추론 과정을 보냄
+    const reasoning = delta.reasoning_content ?? delta.reasoning;
+    if (typeof reasoning === 'string' && reasoning) {
+      this.pushThinking(reasoning);
+    }
+    if (delta.content) {
+      this.pushText(delta.content);
+    }
+    if (Array.isArray(delta.tool_calls)) {
+      for (const toolCall of delta.tool_calls) {
+        this.pushToolCall(toolCall);
+      }
+    }
+  }
+
+  pushThinking(thinking) {
+    if (this.skipLeadingText) return;
+    if (this.openBlock?.type !== 'thinking') {
+      this.closeBlock();
+      const index = this.contentBlocks.length;
+      this.contentBlocks.push({ type: 'thinking', thinking: '', signature: '' });
+      this.openBlock = { type: 'thinking', index };
+      this.send('content_block_start', {
+        type: 'content_block_start',
+        index,
+        content_block: { type: 'thinking', thinking: '', signature: '' }
+      });
+    }
+
+    const index = this.openBlock.index;
+    this.contentBlocks[index].thinking += thinking;
+    this.send('content_block_delta', {
+      type: 'content_block_delta',
+      index,
+      delta: { type: 'thinking_delta', thinking }
+    });
+  }
+
+  pushText(text) {
+    if (this.skipLeadingText) return;
+    // 다른 블록이 열려 있으면 닫고 새 text 블록 시작
+    if (this.openBlock?.type !== 'text') {
+      this.closeBlock();
+      const index = this.contentBlocks.length;
+      this.contentBlocks.push({ type: 'text', text: '' });
+      this.openBlock = { type: 'text', index };
+      this.send('content_block_start', {
+        type: 'content_block_start',
+        index,
+        content_block: { type: 'text', text: '' }
+      });
+    }
+
+    const index = this.openBlock.index;
+    this.contentBlocks[index].text += text;
+    this.send('content_block_delta', {
+      type: 'content_block_delta',
+      index,
+      delta: { type: 'text_delta', text }
+    });
+  }
+
+  /**
+   * tool call 조각이 속한 업스트림 index (index가 없으면 id / 이름으로 판단)
+   */
+  resolveToolIndex(toolCall) {
+    if (toolCall.index !== undefined && toolCall.index !== null) return toolCall.index;
+    // id도 이름도 없는 조각은 마지막 tool call의 인자가 이어지는 것
+    if (!toolCall.id && !toolCall.function?.name && this.lastToolIndex !== null) {
+      return this.lastToolIndex;
+    }
+    for (const [toolIndex, state] of this.toolCalls) {
+      if (toolCall.id && state.upstreamId === toolCall.id) return toolIndex;
+    }
+    // 새 tool call은 순서대로 하나씩 온다고 가정
+    let toolIndex = this.toolCalls.size;
+    while (this.toolCalls.has(toolIndex)) toolIndex++;
+    return toolIndex;
+  }
+
+  pushToolCall(toolCall) {
+    const toolIndex = this.resolveToolIndex(toolCall);
+    let state = this.toolCalls.get(toolIndex);
+
+    if (!state) {
+      // 새 tool call 시작: 열린 블록을 닫고 새 tool_use 블록 시작
+      this.closeBlock();
+      if (this.bufferToolCalls) this.held ??= [];
+      this.skipLeadingText = false;
+      const blockIndex = this.contentBlocks.length;
+      const upstreamName = toolCall.function?.name || '';
+      state = {
+        blockIndex,
+        id: toAnthropicToolId(toolCall.id, toolIndex),
+        upstreamId: toolCall.id,
+        upstreamName,
+        name: this.toolNames?.toOriginal(upstreamName) ?? upstreamName,
+        json: '',
+        complete: false,
+        checked: null
+      };
+      this.toolCalls.set(toolIndex, state);
+      this.lastToolIndex = toolIndex;
+      this.contentBlocks.push({ type: 'tool_use', id: state.id, name: state.name, input: {} });
+      this.openBlock = { type: 'tool_use', index: blockIndex, toolIndex };
+      this.send('content_block_start', {
+        type: 'content_block_start',
+        index: blockIndex,
+        content_block: { type: 'tool_use', id: state.id, name: state.name, input: {} }
+      });
+    }
+
+    const fragment = toolCall.function?.arguments;
+    if (!fragment) return;
+    state.json += fragment;
+    state.checked = null;
+    // 보류 중이면 인자는 finish에서 복구 / 검증한 뒤 한 번에 전송
+    if (this.bufferToolCalls) return;
+
+    // Try to parse complete JSON and update content block
+    try {
+      this.contentBlocks[state.blockIndex].input = JSON.parse(state.json);
+      state.complete = true;
+    } catch {
+      // JSON not yet complete, continue accumulating
+      state.complete = false;
+    }
+
+    const delta = {
+      type: 'content_block_delta',
+      index: state.blockIndex,
+      delta: { type: 'input_json_delta', partial_json: fragment }
+    };
+    if (this.openBlock?.index === state.blockIndex) {
+      this.send('content_block_delta', delta);
+      return;
+    }
+    // 다른 tool call이 시작된 뒤 도착한 조각: 보류 중인 이 블록의 content_block_stop 앞에 넣음
+    const stopAt = this.pending.findIndex(item => item.toolIndex === toolIndex);
+    if (stopAt === -1) {
+      // 이미 완성되어 닫힌 블록 뒤의 조각은 누적만 하고 전송하지 않음
+      logger.warn('tool call arguments after block was closed', { toolCallId: state.upstreamId });
+      return;
+    }
+    this.pending.splice(stopAt, 0, { event: 'content_block_delta', data: delta });
+    this.flushPending();
+  }
+
+  /**
+   * 받은 tool call 인자를 파싱(깨진 JSON은 복구)하고 요청 tools의 input_schema로 검증
+   * @returns {object[]} input_schema와 맞지 않는 tool call (errors 포함)
+   */
+  validateToolCalls() {
+    const invalid = [];
+    for (const state of this.toolCalls.values()) {
+      if (!state.checked) {
+        state.checked = checkToolArguments(state.name, state.json, this.toolSchemas);
+        if (state.checked.repaired) {
+          logger.info('tool call arguments repaired', { tool: state.name });
+        }
+      }
+      this.contentBlocks[state.blockIndex].input = state.checked.input;
+      if (state.checked.errors.length > 0) {
+        invalid.push({ ...state, errors: state.checked.errors });
+      }
+    }
+    return invalid;
+  }
+
+  /**
+   * 교정 요청 전: 보류 중인 tool call 블록(과 그 뒤의 블록)을 버리고 지금까지의 업스트림 usage를 누적
+   * bufferToolCalls일 때만 호출 (이미 보낸 블록은 버릴 수 없으므로 교정 응답의 첫 tool call 전 text / thinking은 버림)
+   * @returns {{ toolCalls: object[], usage: object }} 버린 tool call(교정 요청에 사용, errors 포함)과 지금까지의 Anthropic usage
+   */
+  startCorrection() {
+    const toolCalls = [...this.toolCalls.values()].map(state => ({
+      ...state,
+      errors: state.checked?.errors ?? []
+    }));
+    addUsage(this.priorUsage, this.resolveUpstreamUsage());
+    if (toolCalls.length > 0) this.contentBlocks.length = toolCalls[0].blockIndex;
+    this.openBlock = null;
+    this.held = null;
+    this.upstreamUsage = null;
+    this.finishChoice = null;
+    this.toolCalls.clear();
+    this.lastToolIndex = null;
+    this.skipLeadingText = true;
+    return { toolCalls, usage: toAnthropicUsage(this.priorUsage) };
+  }
+
+  /**
+   * 보류한 이벤트 전송 (tool call 인자 자리에는 복구 / 검증한 인자를 input_json_delta 하나로)
+   */
+  releaseHeld() {
+    const held = this.held ?? [];
+    this.held = null;
+    for (const item of held) {
+      if (item.toolIndex === undefined) {
+        this.emit(item.event, item.data);
+        continue;
+      }
+      const state = this.toolCalls.get(item.toolIndex);
+      this.emit('content_block_delta', {
+        type: 'content_block_delta',
+        index: state.blockIndex,
+        delta: { type: 'input_json_delta', partial_json: JSON.stringify(state.checked.input) }
+      });
+    }
+  }
+
+  closeBlock() {
+    if (!this.openBlock) return;
+    if (this.openBlock.type === 'thinking') {
+      // 업스트림은 서명을 주지 않으므로 클라이언트가 블록을 완료로 인식하도록 내용 해시를 서명으로 전달
+      const block = this.contentBlocks[this.openBlock.index];
+      block.signature = createHash('sha256').update(block.thinking).digest('base64');
+      this.send('content_block_delta', {
+        type: 'content_block_delta',
+        index: this.openBlock.index,
+        delta: { type: 'signature_delta', signature: block.signature }
+      });
+    }
+    const stop = { type: 'content_block_stop', index: this.openBlock.index };
+    if (this.openBlock.type === 'tool_use' && this.held) {
+      this.held.push({ toolIndex: this.openBlock.toolIndex });
+    } else if (this.openBlock.type === 'tool_use') {
+      const { toolIndex } = this.openBlock;
+      if (!this.toolCalls.get(toolIndex).complete) {
+        // 인자가 끝나지 않았으면 나머지 조각이 올 때까지 블록을 닫지 않고 이후 이벤트도 보류
+        this.pending.push({ event: 'content_block_stop', data: stop, toolIndex });
+        this.openBlock = null;
+        return;
+      }
+    }
+    this.send('content_block_stop', stop);
+    this.openBlock = null;
+  }
+
+  /**
+   * 열린 블록을 닫고 message_delta / message_stop 전송
+   */
+  finish() {
+    this.closeBlock();
+    if (this.held) {
+      this.validateToolCalls();
+      this.releaseHeld();
+    }
+    this.flushPending(true);
+    const lastBlock = this.contentBlocks[this.contentBlocks.length - 1];
+    const { stopReason, stopSequence } = mapFinishReason(this.finishChoice, {
+      hasToolUse: this.toolCalls.size > 0,
+      stopSequences: this.stopSequences,
+      text: lastBlock?.type === 'text' ? lastBlock.text : ''
+    });
+    this.stopReason = stopReason;
+    this.stopSequence = stopSequence;
+    if (stopReason === 'refusal') {
+      logger.warn('response stopped by upstream content filter');
+    }
+    this.usage = toAnthropicUsage(addUsage({ ...this.priorUsage }, this.resolveUpstreamUsage()));
+
+    this.emit('message_delta', {
+      type: 'message_delta',
+      delta: {
+        stop_reason: this.stopReason,
+        stop_sequence: this.stopSequence,
+        content: this.contentBlocks
+      },
+      usage: this.usage
+    });
+    this.emit('message_stop', { type: 'message_stop' });
+  }
+
+  /**
+   * 누적된 블록으로 비스트리밍용 Anthropic message 객체 생성 (finish 이후 호출)
+   */
+  toMessage() {
+    return {
+      id: this.id,
+      type: 'message',
+      role: 'assistant',
+      model: this.model,
+      content: this.contentBlocks,
+      stop_reason: this.stopReason,
+      stop_sequence: this.stopSequence,
+      usage: this.usage
+    };
+  }
+
+  /**
+   * 지금까지의 Anthropic usage (finish 전에 실패 / 중단됐으면 그때까지 받은 만큼)
+   */
+  getUsage() {
+    if (this.usage) return this.usage;
+    // 최종 업스트림에서 받은 것이 없으면 앞선 호출의 usage만
+    const upstreamUsage =
+      this.upstreamUsage ?? (this.contentBlocks.length > 0 ? this.resolveUpstreamUsage() : {});
+    return toAnthropicUsage(addUsage({ ...this.priorUsage }, upstreamUsage));
+  }
+
+  /**
+   * 업스트림 usage가 없으면 로컬 추정치로 대체
+   */
+  resolveUpstreamUsage() {
+    if (this.upstreamUsage) return this.upstreamUsage;
+    return {
+      prompt_tokens: this.inputTokens,
+      completion_tokens: estimateOutputTokens(this.contentBlocks)
+    };
+  }
+}
+
+/**
+ * 비스트리밍 completion을 스트림 chunk 배열로 변환하여 같은 변환기로 처리할 수 있게 함
+ */
+export function completionToChunks(completion) {
+  return [
+    {
+      ...completion,
+      choices: (completion?.choices || []).map(choice => ({
+        ...choice,
+        delta: choice.message
+      }))
+    }
+  ];
+}
+
+/**
+ * 첫 chunk를 미리 받아 둔 스트림 반환
+ * 첫 chunk 이전의 실패(라우터 hop, 업스트림 연결 등)는 여기서 throw되므로 SSE 시작 전에 HTTP 에러로 응답 가능
+ */
+export async function prefetchFirstChunk(completion) {
+  const iterator =
+    typeof completion[Symbol.asyncIterator] === 'function'
+      ? completion[Symbol.asyncIterator]()
+      : completion[Symbol.iterator]();
+  const first = await iterator.next();
+  return {
+    async *[Symbol.asyncIterator]() {
+      try {
+        if (first.done) return;
+        yield first.value;
+        for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+          yield next.value;
+        }
+      } finally {
+        await iterator.return?.();
+      }
+    }
+  };
+}
@@ -0,0 +1,86 @@
+import './helpers.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { parseConfig } from '../config.mjs';
+
+/**
+ * 검증 실패 메시지의 에러 목록
+ */
+function configErrors(config, path = 'config.json') {
+  try {
+    parseConfig(JSON.stringify(config), path);
+    return [];
+  } catch (e) {
+    return e.message.split('\n  - ').slice(1);
+  }
+}
+
+test('config.example.yaml is a valid config', () => {
+  process.env.ALICE_PROXY_KEY = 'alice-key';
+  process.env.CI_PROXY_KEY = 'ci-key';
+  process.env.OPS_PROXY_KEY = 'ops-key';
+  try {
+    const config = parseConfig(
+      readFileSync(fileURLToPath(import.meta.resolve('../config.example.yaml')), 'utf8'),
+      'config.example.yaml'
+    );
+    assert.equal(config.auth.keys[0].key, 'alice-key');
+    assert.ok(config.agents.some(agent => agent.tools));
+  } finally {
+    delete process.env.ALICE_PROXY_KEY;
+    delete process.env.CI_PROXY_KEY;
+    delete process.env.OPS_PROXY_KEY;
+  }
+});
+
+test('environment variables are expanded in string values', () => {
+  process.env.TEST_PROVIDER_KEY = 'secret';
+  try {
+    const config = parseConfig(
+      JSON.stringify({ providers: { a: { baseURL: 'http://a', apiKey: '${TEST_PROVIDER_KEY}' } } }),
+      'config.json'
+    );
+    assert.equal(config.providers.a.apiKey, 'secret');
+  } finally {
+    delete process.env.TEST_PROVIDER_KEY;
+  }
+});
+
+test('unknown properties, wrong types and enum values are reported with their path', () => {
+  assert.deepEqual(configErrors({ mode: 'fast', server: { port: '80' }, extra: true }), [
+    'mode: must be one of "normal" | "router"',
+    'server.port: must be integer (got string)',
+    'extra: unknown property'
+  ]);
+});
+
+test('unknown rule conditions are rejected', () => {
+  assert.deepEqual(configErrors({ rules: [{ when: { lastUserMsg: 'x' }, use: 'coder' }] }), [
+    'rules[0].when.lastUserMsg: unknown property'
+  ]);
+  assert.deepEqual(configErrors({ rules: [{ when: { hasTools: 'yes' }, use: 'coder' }] }), [
+    'rules[0].when.hasTools: must be boolean (got string)'
+  ]);
+});
+
+test('references between sections are checked', () => {
+  assert.deepEqual(
+    configErrors({
+      modelMap: { default: { provider: 'missing', model: 'm' } },
+      auth: { keys: [{ name: 'a', key: 'k', profile: 'none' }] },
+      budgets: [{ client: 'a' }]
+    }),
+    [
+      'modelMap.default.provider: unknown provider (missing)',
+      'auth.keys[0].profile: unknown profile (none)',
+      'budgets[0]: daily or monthly is required'
+    ]
+  );
+});
+
+test('YAML files are parsed as YAML', () => {
+  const config = parseConfig('mode: router\nserver:\n  port: 4000\n', 'config.yaml');
+  assert.deepEqual(config, { mode: 'router', server: { port: 4000 } });
+});
@@ -0,0 +1,103 @@
+import './helpers.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertMessages, convertRequest, convertToolChoice } from '../converter.mjs';
+
+test('tool_use blocks become assistant tool_calls', () => {
+  const [message] = convertMessages([
+    {
+      role: 'assistant',
+      content: [
+        { type: 'text', text: 'Let me check.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }
+      ]
+    }
+  ]);
+  assert.deepEqual(message, {
+    role: 'assistant',
+    content: 'Let me check.',
+    tool_calls: [
+      {
+        id: 'toolu_1',
+        type: 'function',
+        function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+      }
+    ]
+  });
+});
+
+test('tool_result blocks become tool messages ahead of the remaining user content', () => {
+  const messages = convertMessages([
+    {
+      role: 'user',
+      content: [
+        { type: 'text', text: 'and now?' },
+        { type: 'tool_result', tool_use_id: 'toolu_1', content: 'sunny' },
+        { type: 'tool_result', tool_use_id: 'toolu_2', content: 'boom', is_error: true }
+      ]
+    }
+  ]);
+  assert.deepEqual(
+    messages.map(message => message.role),
+    ['tool', 'tool', 'user']
+  );
+  assert.equal(messages[0].tool_call_id, 'toolu_1');
+  assert.equal(messages[0].content, 'sunny');
+  assert.equal(messages[1].content, 'Error: boom');
+});
+
+test('an empty tool_result is sent as a placeholder', () => {
+  const [message] = convertMessages([
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: [] }] }
+  ]);
+  assert.equal(message.content, '(empty result)');
+});
+
+test('tool_choice maps to OpenAI tool_choice and parallel_tool_calls', () => {
+  assert.deepEqual(convertToolChoice({ type: 'any', disable_parallel_tool_use: true }), {
+    tool_choice: 'required',
+    parallel_tool_calls: false
+  });
+  assert.deepEqual(convertToolChoice({ type: 'tool', name: 'Read' }), {
+    tool_choice: { type: 'function', function: { name: 'Read' } }
+  });
+  assert.deepEqual(convertToolChoice({ type: 'none' }), { tool_choice: 'none' });
+});
+
+test('convertRequest forwards system, sampling parameters and tools', () => {
+  const request = convertRequest({
+    model: 'claude-sonnet-4',
+    system: 'be brief',
+    max_tokens: 100,
+    stop_sequences: ['END'],
+    metadata: { user_id: 'u1' },
+    stream: true,
+    messages: [{ role: 'user', content: 'hi' }],
+    tools: [
+      {
+        name: 'Read',
+        input_schema: { $schema: 'http://json-schema.org/draft-07/schema#', type: 'object' }
+      }
+    ],
+    tool_choice: { type: 'auto' }
+  });
+  assert.deepEqual(request.messages, [
+    { role: 'system', content: 'be brief' },
+    { role: 'user', content: 'hi' }
+  ]);
+  assert.equal(request.max_tokens, 100);
+  assert.deepEqual(request.stop, ['END']);
+  assert.equal(request.user, 'u1');
+  assert.deepEqual(request.stream_options, { include_usage: true });
+  assert.equal(request.tool_choice, 'auto');
+  assert.deepEqual(request.tools[0].function.parameters, { type: 'object' });
+});
+
+test('convertRequest drops tool_choice when no tools are sent', () => {
+  const request = convertRequest({
+    model: 'claude-sonnet-4',
+    messages: [{ role: 'user', content: 'hi' }],
+    tool_choice: { type: 'any' }
+  });
+  assert.equal(request.tool_choice, undefined);
+});
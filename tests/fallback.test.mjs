@@ -0,0 +1,68 @@
+import './helpers.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { callWithFallbacks } from '../limiter.mjs';
+import { UpstreamError } from '../errors.mjs';
+
+process.env.UPSTREAM_RETRY_BASE_MS = '1';
+
+const targets = [
+  { provider: 'primary', model: 'a', baseURL: 'http://primary.test' },
+  { provider: 'backup', model: 'b', baseURL: 'http://backup.test' }
+];
+
+test('a retryable failure switches to the next target without retrying', async () => {
+  const tried = [];
+  const { result, target } = await callWithFallbacks(targets, {}, async current => {
+    tried.push(current.provider);
+    if (current.provider === 'primary') throw new UpstreamError(503, 'unavailable');
+    return 'ok';
+  });
+  assert.equal(result, 'ok');
+  assert.equal(target.provider, 'backup');
+  assert.deepEqual(tried, ['primary', 'backup']);
+});
+
+test('a non-retryable failure does not fall back', async () => {
+  const tried = [];
+  await assert.rejects(
+    callWithFallbacks(targets, {}, async current => {
+      tried.push(current.provider);
+      throw new UpstreamError(401, 'invalid key');
+    }),
+    { status: 401 }
+  );
+  assert.deepEqual(tried, ['primary']);
+});
+
+test('the last target is retried before giving up', async () => {
+  const previous = process.env.UPSTREAM_MAX_RETRIES;
+  process.env.UPSTREAM_MAX_RETRIES = '2';
+  try {
+    const tried = [];
+    await assert.rejects(
+      callWithFallbacks(targets, {}, async current => {
+        tried.push(current.provider);
+        throw new UpstreamError(429, 'rate limited');
+      }),
+      { status: 429 }
+    );
+    assert.deepEqual(tried, ['primary', 'backup', 'backup', 'backup']);
+  } finally {
+    if (previous === undefined) delete process.env.UPSTREAM_MAX_RETRIES;
+    else process.env.UPSTREAM_MAX_RETRIES = previous;
+  }
+});
+
+test('a cancelled request does not fall back', async () => {
+  const controller = new AbortController();
+  const tried = [];
+  await assert.rejects(
+    callWithFallbacks(targets, { signal: controller.signal }, async current => {
+      tried.push(current.provider);
+      controller.abort(new Error('client disconnected'));
+      throw new UpstreamError(503, 'unavailable');
+    })
+  );
+  assert.deepEqual(tried, ['primary']);
+});
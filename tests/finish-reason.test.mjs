@@ -0,0 +1,73 @@
+import './helpers.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapFinishReason, StreamTranslator } from '../stream.mjs';
+
+const context = { hasToolUse: false, stopSequences: ['END', '###'] };
+
+test('finish_reason maps to stop_reason', () => {
+  const cases = [
+    ['tool_calls', 'tool_use'],
+    ['function_call', 'tool_use'],
+    ['length', 'max_tokens'],
+    ['content_filter', 'refusal'],
+    ['stop', 'end_turn'],
+    [undefined, 'end_turn']
+  ];
+  for (const [finishReason, stopReason] of cases) {
+    assert.deepEqual(mapFinishReason({ finish_reason: finishReason }, context), {
+      stopReason,
+      stopSequence: null
+    });
+  }
+});
+
+test('stop with tool calls is reported as tool_use', () => {
+  assert.equal(
+    mapFinishReason({ finish_reason: 'stop' }, { ...context, hasToolUse: true }).stopReason,
+    'tool_use'
+  );
+});
+
+test('stop_sequence comes from the upstream matched stop string', () => {
+  assert.deepEqual(mapFinishReason({ finish_reason: 'stop', stop_reason: '###' }, context), {
+    stopReason: 'stop_sequence',
+    stopSequence: '###'
+  });
+  assert.deepEqual(mapFinishReason({ finish_reason: 'stop', matched_stop: 'END' }, context), {
+    stopReason: 'stop_sequence',
+    stopSequence: 'END'
+  });
+  // 요청하지 않은 문자열은 무시
+  assert.equal(
+    mapFinishReason({ finish_reason: 'stop', stop_reason: 'other' }, context).stopReason,
+    'end_turn'
+  );
+});
+
+test('stop_sequence comes from the end of the text when the upstream keeps it', () => {
+  assert.deepEqual(mapFinishReason({ finish_reason: 'stop' }, { ...context, text: 'done END' }), {
+    stopReason: 'stop_sequence',
+    stopSequence: 'END'
+  });
+});
+
+test('the translator reports stop_reason, stop_sequence and usage in message_delta', () => {
+  const events = [];
+  const translator = new StreamTranslator((event, data) => events.push({ event, data }), {
+    stopSequences: ['END']
+  });
+  translator.start({ id: 'msg_1', model: 'claude-sonnet-4' });
+  translator.push({ choices: [{ index: 0, delta: { content: 'a list END' } }] });
+  translator.push({
+    choices: [{ index: 0, delta: {}, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 10, completion_tokens: 3 }
+  });
+  translator.finish();
+  const delta = events.find(({ event }) => event === 'message_delta').data;
+  assert.equal(delta.delta.stop_reason, 'stop_sequence');
+  assert.equal(delta.delta.stop_sequence, 'END');
+  assert.equal(delta.usage.input_tokens, 10);
+  assert.equal(delta.usage.output_tokens, 3);
+  assert.equal(events.at(-1).event, 'message_stop');
+});
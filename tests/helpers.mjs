@@ -0,0 +1,23 @@
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * 테스트 공통 설정: 작업 디렉터리의 config.json 등을 읽지 않도록 빈 설정 파일로 시작하고 로그는 끔
+ * 설정을 읽는 모듈보다 먼저 import해야 함
+ */
+
+const configFile = join(mkdtempSync(join(tmpdir(), 'claude-code-router-test-')), 'config.json');
+writeFileSync(configFile, '{}');
+process.env.CONFIG_FILE = configFile;
+process.env.LOG_LEVEL = 'silent';
+
+/**
+ * 테스트용 설정 파일을 바꾸고 다시 읽음 (검증에 실패하면 throw)
+ * @param {object} config
+ */
+export async function setConfig(config) {
+  writeFileSync(configFile, JSON.stringify(config));
+  const { reloadConfig } = await import('../config.mjs');
+  if (!reloadConfig()) throw new Error('test config was not applied');
+}
@@ -0,0 +1,85 @@
+import './helpers.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate } from 'timers/promises';
+import { callWithLimits, getLimiter, RateLimiter } from '../limiter.mjs';
+import { UpstreamError } from '../errors.mjs';
+
+process.env.UPSTREAM_RETRY_BASE_MS = '1';
+process.env.UPSTREAM_LIMITS = JSON.stringify({ 'single-slot': { concurrency: 1 } });
+
+async function* chunks(count) {
+  for (let i = 0; i < count; i++) yield { index: i };
+}
+
+test('RateLimiter runs queued calls in order within the concurrency limit', async () => {
+  const limiter = new RateLimiter({ concurrency: 1 });
+  const order = [];
+  const first = await limiter.acquire();
+  const second = limiter.acquire().then(release => {
+    order.push('second');
+    return release;
+  });
+  const third = limiter.acquire().then(release => {
+    order.push('third');
+    return release;
+  });
+  await setImmediate();
+  assert.deepEqual(order, []);
+  first();
+  (await second)();
+  (await third)();
+  assert.deepEqual(order, ['second', 'third']);
+  assert.equal(limiter.active, 0);
+});
+
+test('RateLimiter drops a waiting call whose signal is aborted', async () => {
+  const limiter = new RateLimiter({ concurrency: 1 });
+  const release = await limiter.acquire();
+  const controller = new AbortController();
+  const waiting = limiter.acquire(0, controller.signal);
+  controller.abort(new Error('cancelled'));
+  await assert.rejects(waiting, /cancelled/);
+  assert.equal(limiter.queue.length, 0);
+  release();
+});
+
+test('callWithLimits retries 429 and 5xx but not other errors', async () => {
+  let calls = 0;
+  const result = await callWithLimits('http://retry.test', { maxRetries: 2 }, async () => {
+    calls++;
+    if (calls < 3) throw new UpstreamError(calls === 1 ? 429 : 503, 'busy');
+    return 'ok';
+  });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(
+    callWithLimits('http://retry.test', { maxRetries: 2 }, async () => {
+      calls++;
+      throw new UpstreamError(400, 'bad request');
+    }),
+    { status: 400 }
+  );
+  assert.equal(calls, 1);
+});
+
+test('a stream holds its slot until it is read to the end', async () => {
+  const key = 'http://single-slot.test/read';
+  const stream = await callWithLimits(key, { stream: true }, async () => chunks(3));
+  assert.equal(getLimiter(key).active, 1);
+  const received = [];
+  for await (const chunk of stream) received.push(chunk.index);
+  assert.deepEqual(received, [0, 1, 2]);
+  assert.equal(getLimiter(key).active, 0);
+});
+
+test('a cancelled request releases the slot of a stream that was never read', async () => {
+  const key = 'http://single-slot.test/cancel';
+  const controller = new AbortController();
+  await callWithLimits(key, { stream: true, signal: controller.signal }, async () => chunks(3));
+  assert.equal(getLimiter(key).active, 1);
+  controller.abort(new Error('client disconnected'));
+  assert.equal(getLimiter(key).active, 0);
+});
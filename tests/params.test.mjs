@@ -0,0 +1,72 @@
+import './helpers.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { adaptRequest } from '../models.mjs';
+import { parseConfig } from '../config.mjs';
+
+const params = {
+  model: 'm',
+  messages: [{ role: 'user', content: 'hi' }],
+  max_tokens: 32000,
+  stop: ['a', 'b', 'c', 'd', 'e'],
+  top_p: 0.9,
+  top_k: 40
+};
+
+function target(overrides = {}) {
+  return { provider: 'p', model: 'chat-model', baseURL: 'http://p.test', ...overrides };
+}
+
+test('by default stop keeps 4 entries and top_k is dropped', () => {
+  const adapted = adaptRequest(params, target());
+  assert.deepEqual(adapted.stop, ['a', 'b', 'c', 'd']);
+  assert.equal('top_k' in adapted, false);
+  assert.equal(adapted.max_tokens, 32000);
+  assert.equal(adapted.top_p, 0.9);
+});
+
+test('declared params drop, clamp or keep parameters', () => {
+  const adapted = adaptRequest(
+    params,
+    target({ params: { top_k: true, top_p: false, max_tokens: { max: 8192 } } })
+  );
+  assert.equal(adapted.top_k, 40);
+  assert.equal('top_p' in adapted, false);
+  assert.equal(adapted.max_tokens, 8192);
+});
+
+test('modelParams override provider params for matching models', () => {
+  const adapted = adaptRequest(
+    params,
+    target({
+      params: { max_tokens: { max: 8192 } },
+      modelParams: { 'chat-*': { max_tokens: { max: 4096 } } }
+    })
+  );
+  assert.equal(adapted.max_tokens, 4096);
+});
+
+test('max_tokens is sent as max_completion_tokens to OpenAI reasoning models', () => {
+  const adapted = adaptRequest(params, target({ model: 'o3-mini' }));
+  assert.equal('max_tokens' in adapted, false);
+  assert.equal(adapted.max_completion_tokens, 32000);
+});
+
+test('a rename is applied after clamping', () => {
+  const adapted = adaptRequest(
+    params,
+    target({ params: { max_tokens: { max: 1000, rename: 'max_output_tokens' } } })
+  );
+  assert.equal(adapted.max_output_tokens, 1000);
+  assert.equal('max_tokens' in adapted, false);
+});
+
+test('an empty rename is rejected by the config schema', () => {
+  const config = {
+    providers: { p: { baseURL: 'http://p.test', params: { max_tokens: { rename: '' } } } }
+  };
+  assert.throws(
+    () => parseConfig(JSON.stringify(config), 'config.json'),
+    /providers\.p\.params\.max_tokens\.rename: length must be at least 1/
+  );
+});
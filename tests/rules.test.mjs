@@ -0,0 +1,58 @@
+import { setConfig } from './helpers.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findMatchingRule, getRequestFeatures, loadRules, matchesRule } from '../rules.mjs';
+
+const toolResultRequest = {
+  model: 'claude-3-5-haiku',
+  messages: [
+    { role: 'system', content: 'You are a coding agent' },
+    { role: 'user', content: 'please refactor this' },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function' }] },
+    { role: 'tool', tool_call_id: 'c1', content: 'ok' }
+  ],
+  tools: [{ type: 'function', function: { name: 'Read' } }]
+};
+
+test('request features describe the conversation', () => {
+  const features = getRequestFeatures(toolResultRequest);
+  assert.equal(features.model, 'claude-3-5-haiku');
+  assert.equal(features.hasTools, true);
+  assert.equal(features.hasImages, false);
+  assert.equal(features.lastMessageIsToolResult, true);
+  assert.equal(features.systemPrompt, 'You are a coding agent');
+  assert.equal(features.lastUserMessage, 'please refactor this');
+  assert.ok(features.tokens > 0);
+});
+
+test('every condition of a rule must match', () => {
+  const features = getRequestFeatures(toolResultRequest);
+  assert.equal(matchesRule({ model: '*haiku*', hasTools: true }, features), true);
+  assert.equal(matchesRule({ model: '*haiku*', hasTools: false }, features), false);
+  assert.equal(matchesRule({ lastUserMessage: 'REFACTOR|implement' }, features), true);
+  assert.equal(matchesRule({ minTokens: 1_000_000 }, features), false);
+  assert.equal(matchesRule({}, features), true);
+});
+
+test('the first matching rule wins and excluded agents are skipped', () => {
+  const rules = [
+    { when: { lastMessageIsToolResult: true }, use: 'use-tool' },
+    { when: { model: '*haiku*' }, use: 'fast' },
+    { use: 'default' }
+  ];
+  assert.equal(findMatchingRule(rules, toolResultRequest).use, 'use-tool');
+  assert.equal(findMatchingRule(rules, toolResultRequest, new Set(['use-tool'])).use, 'fast');
+  assert.equal(findMatchingRule([], toolResultRequest), null);
+});
+
+test('ROUTER_RULES with unknown conditions are rejected', async () => {
+  await setConfig({});
+  process.env.ROUTER_RULES = JSON.stringify([{ when: { lastUserMsg: 'x' }, use: 'coder' }]);
+  try {
+    assert.deepEqual(loadRules(), []);
+    process.env.ROUTER_RULES = JSON.stringify([{ when: { hasTools: true }, use: 'coder' }]);
+    assert.deepEqual(loadRules(), [{ when: { hasTools: true }, use: 'coder' }]);
+  } finally {
+    delete process.env.ROUTER_RULES;
+  }
+});
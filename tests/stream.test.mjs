@@ -0,0 +1,121 @@
+import './helpers.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StreamTranslator } from '../stream.mjs';
+
+/**
+ * delta 목록을 변환하여 전송된 이벤트와 변환기 반환
+ */
+function translate(deltas, options = {}, finishReason = 'tool_calls') {
+  const events = [];
+  const translator = new StreamTranslator((event, data) => events.push({ event, data }), options);
+  translator.start({ id: 'msg_1', model: 'claude-sonnet-4' });
+  for (const delta of deltas) translator.push({ choices: [{ index: 0, delta }] });
+  translator.push({ choices: [{ index: 0, delta: {}, finish_reason: finishReason }] });
+  translator.finish();
+  return { events, translator };
+}
+
+/**
+ * 블록별로 start / delta / stop이 순서대로, 블록이 겹치지 않게 왔는지 확인하고 블록별 인자 JSON 반환
+ */
+function collectBlocks(events) {
+  const blocks = [];
+  let open = null;
+  for (const { event, data } of events) {
+    if (event === 'content_block_start') {
+      assert.equal(open, null, `block ${data.index} started while ${open} is open`);
+      open = data.index;
+      blocks[data.index] = { ...data.content_block, json: '' };
+    } else if (event === 'content_block_delta') {
+      assert.equal(data.index, open, 'delta for a block that is not open');
+      if (data.delta.type === 'input_json_delta')
+        blocks[data.index].json += data.delta.partial_json;
+    } else if (event === 'content_block_stop') {
+      assert.equal(data.index, open);
+      open = null;
+    }
+  }
+  assert.equal(open, null, 'a block was never stopped');
+  return blocks;
+}
+
+test('parallel tool calls become separate tool_use blocks', () => {
+  const { events, translator } = translate([
+    { content: 'Checking.' },
+    {
+      tool_calls: [{ index: 0, id: 'a', function: { name: 'get_weather', arguments: '{"city":' } }]
+    },
+    { tool_calls: [{ index: 0, function: { arguments: '"Paris"}' } }] },
+    { tool_calls: [{ index: 1, id: 'b', function: { name: 'get_time', arguments: '{}' } }] }
+  ]);
+  const blocks = collectBlocks(events);
+  assert.deepEqual(
+    blocks.map(block => [block.type, block.name, block.json]),
+    [
+      ['text', undefined, ''],
+      ['tool_use', 'get_weather', '{"city":"Paris"}'],
+      ['tool_use', 'get_time', '{}']
+    ]
+  );
+  assert.equal(translator.stopReason, 'tool_use');
+  assert.deepEqual(translator.contentBlocks[1].input, { city: 'Paris' });
+});
+
+test('interleaved tool call fragments are streamed before their block stops', () => {
+  const { events, translator } = translate([
+    { tool_calls: [{ index: 0, id: 'a', function: { name: 'get_weather', arguments: '{"ci' } }] },
+    { tool_calls: [{ index: 1, id: 'b', function: { name: 'get_time', arguments: '{"tz":' } }] },
+    { tool_calls: [{ index: 0, function: { arguments: 'ty":"Paris"}' } }] },
+    { tool_calls: [{ index: 1, function: { arguments: '"UTC"}' } }] }
+  ]);
+  const blocks = collectBlocks(events);
+  assert.equal(blocks[0].json, '{"city":"Paris"}');
+  assert.equal(blocks[1].json, '{"tz":"UTC"}');
+  assert.deepEqual(
+    translator.contentBlocks.map(block => block.input),
+    [{ city: 'Paris' }, { tz: 'UTC' }]
+  );
+});
+
+test('fragments without an index continue the last tool call', () => {
+  const { events } = translate([
+    { tool_calls: [{ id: 'a', function: { name: 'Read', arguments: '{"file_path":' } }] },
+    { tool_calls: [{ function: { arguments: '"/a"}' } }] },
+    { tool_calls: [{ id: 'b', function: { name: 'Read', arguments: '{"file_path":"/b"}' } }] }
+  ]);
+  const blocks = collectBlocks(events);
+  assert.deepEqual(
+    blocks.map(block => [block.name, block.json]),
+    [
+      ['Read', '{"file_path":"/a"}'],
+      ['Read', '{"file_path":"/b"}']
+    ]
+  );
+});
+
+test('text after a tool call opens a new block', () => {
+  const { events } = translate([
+    { tool_calls: [{ index: 0, id: 'a', function: { name: 'Read', arguments: '{}' } }] },
+    { content: 'done' }
+  ]);
+  const blocks = collectBlocks(events);
+  assert.deepEqual(
+    blocks.map(block => block.type),
+    ['tool_use', 'text']
+  );
+});
+
+test('reasoning deltas become a signed thinking block', () => {
+  const { events, translator } = translate(
+    [{ reasoning_content: 'hmm' }, { content: 'answer' }],
+    {},
+    'stop'
+  );
+  collectBlocks(events);
+  const [thinking, text] = translator.contentBlocks;
+  assert.equal(thinking.type, 'thinking');
+  assert.equal(thinking.thinking, 'hmm');
+  assert.ok(thinking.signature);
+  assert.equal(text.text, 'answer');
+});
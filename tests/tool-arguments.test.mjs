@@ -0,0 +1,154 @@
+import './helpers.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { repairJson } from '../utils.mjs';
+import {
+  buildCorrectionRequest,
+  checkToolArguments,
+  getToolSchemas,
+  validateToolInput
+} from '../tools.mjs';
+import { StreamTranslator } from '../stream.mjs';
+
+test('repairJson fixes code fences, single quotes, newlines and trailing commas', () => {
+  assert.deepEqual(repairJson('```json\n{"a": [1, 2,],}\n```'), { a: [1, 2] });
+  assert.deepEqual(repairJson("{'path': 'it\\'s'}"), { path: "it's" });
+  assert.deepEqual(repairJson('{"text": "line 1\nline 2"}'), { text: 'line 1\nline 2' });
+});
+
+test('repairJson does not close truncated JSON', () => {
+  for (const truncated of ['{"a":"abc', '{"a":1,', '{"a":1,"b"', '[1, 2', '{"a":{"b":true}']) {
+    assert.throws(() => repairJson(truncated), SyntaxError, truncated);
+  }
+});
+
+test('validateToolInput reports type, required, enum and nested errors', () => {
+  const schema = {
+    type: 'object',
+    required: ['file_path'],
+    properties: {
+      file_path: { type: 'string', minLength: 1 },
+      mode: { enum: ['read', 'write'] },
+      lines: { type: 'array', items: { type: 'integer' }, maxItems: 2 }
+    },
+    additionalProperties: false
+  };
+  assert.deepEqual(validateToolInput({ file_path: '/a', lines: [1, 2] }, schema, 'Read'), []);
+  assert.deepEqual(
+    validateToolInput({ mode: 'append', lines: [1, 'x', 3], extra: 1 }, schema, 'Read'),
+    [
+      'Read.file_path: is required',
+      'Read.mode: must be one of "read", "write"',
+      'Read.lines: must have at most 2 items',
+      'Read.lines[1]: must be integer (got string)',
+      'Read.extra: is not an allowed property'
+    ]
+  );
+});
+
+test('validateToolInput supports anyOf, oneOf, const, pattern and false subschemas', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      id: { anyOf: [{ type: 'integer' }, { type: 'string', pattern: '^[a-z]+$' }] },
+      kind: { oneOf: [{ const: 'a' }, { const: 'b' }] },
+      legacy: false
+    }
+  };
+  assert.deepEqual(validateToolInput({ id: 'abc', kind: 'a' }, schema, 'T'), []);
+  assert.equal(validateToolInput({ id: 'ABC' }, schema, 'T').length, 1);
+  assert.equal(validateToolInput({ kind: 'c' }, schema, 'T').length, 1);
+  assert.deepEqual(validateToolInput({ legacy: 1 }, schema, 'T'), ['T.legacy: is not allowed']);
+});
+
+test('checkToolArguments repairs broken JSON but rejects truncated arguments', () => {
+  const schemas = getToolSchemas([
+    {
+      name: 'Write',
+      input_schema: {
+        type: 'object',
+        required: ['file_path', 'content'],
+        properties: { file_path: { type: 'string' }, content: { type: 'string' } }
+      }
+    }
+  ]);
+  const repaired = checkToolArguments('Write', "{'file_path': '/a', 'content': 'x',}", schemas);
+  assert.equal(repaired.repaired, true);
+  assert.deepEqual(repaired.errors, []);
+  assert.deepEqual(repaired.input, { file_path: '/a', content: 'x' });
+
+  const truncated = checkToolArguments('Write', '{"file_path": "/a", "content": "par', schemas);
+  assert.deepEqual(truncated.errors, ['Write: arguments are not valid JSON']);
+
+  const unknown = checkToolArguments('Delete', '{}', schemas);
+  assert.deepEqual(unknown.errors, ['Delete: no tool with this name was provided']);
+});
+
+test('buildCorrectionRequest returns every tool call with its errors', () => {
+  const data = { model: 'm', messages: [{ role: 'user', content: 'hi' }] };
+  const request = buildCorrectionRequest(data, [
+    {
+      upstreamId: 'call_1',
+      upstreamName: 'Read',
+      json: '{}',
+      errors: ['Read.file_path: is required']
+    },
+    { upstreamId: 'call_2', upstreamName: 'Glob', json: '{"pattern":"*"}', errors: [] }
+  ]);
+  assert.equal(data.messages.length, 1);
+  assert.deepEqual(
+    request.messages.map(message => message.role),
+    ['user', 'assistant', 'tool', 'tool']
+  );
+  assert.match(request.messages[2].content, /Read\.file_path: is required/);
+  assert.match(request.messages[3].content, /Not executed/);
+});
+
+test('a correction replaces the held tool calls without repeating text that was already sent', () => {
+  const events = [];
+  const translator = new StreamTranslator((event, data) => events.push({ event, data }), {
+    bufferToolCalls: true,
+    toolSchemas: getToolSchemas([
+      {
+        name: 'Read',
+        input_schema: {
+          type: 'object',
+          required: ['file_path'],
+          properties: { file_path: { type: 'string' } }
+        }
+      }
+    ])
+  });
+  const push = delta => translator.push({ choices: [{ index: 0, delta }] });
+  translator.start({ id: 'msg_1', model: 'claude-sonnet-4' });
+  push({ content: 'Let me check.' });
+  push({ tool_calls: [{ index: 0, id: 'call_1', function: { name: 'Read', arguments: '{}' } }] });
+  assert.equal(translator.validateToolCalls().length, 1);
+
+  const { toolCalls } = translator.startCorrection();
+  assert.equal(toolCalls[0].upstreamId, 'call_1');
+  push({ content: 'Let me check.' });
+  push({
+    tool_calls: [
+      { index: 0, id: 'call_2', function: { name: 'Read', arguments: '{"file_path":"/a"}' } }
+    ]
+  });
+  assert.deepEqual(translator.validateToolCalls(), []);
+  translator.finish();
+
+  const texts = events
+    .filter(({ data }) => data.delta?.type === 'text_delta')
+    .map(({ data }) => data.delta.text);
+  assert.deepEqual(texts, ['Let me check.']);
+  const toolStarts = events.filter(
+    ({ event, data }) => event === 'content_block_start' && data.content_block.type === 'tool_use'
+  );
+  assert.deepEqual(
+    toolStarts.map(({ data }) => [data.index, data.content_block.id]),
+    [[1, 'toolu_call_2']]
+  );
+  assert.deepEqual(
+    translator.contentBlocks.map(block => block.type),
+    ['text', 'tool_use']
+  );
+});
@@ -0,0 +1,55 @@
+import { setConfig } from './helpers.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { calculateCost, checkBudget, recordUsage } from '../usage.mjs';
+
+const usageFile = join(mkdtempSync(join(tmpdir(), 'claude-code-router-usage-')), 'usage.jsonl');
+
+await setConfig({
+  usage: { file: usageFile },
+  pricing: { 'expensive-*': { input: 1_000_000, output: 0 } },
+  budgets: [
+    { client: 'ci', daily: 1 },
+    { model: '*opus*', daily: 1, action: 'downgrade', downgradeTo: 'claude-sonnet-4' }
+  ]
+});
+
+test('cost uses the first matching price per million tokens', () => {
+  assert.equal(
+    calculateCost({ provider: 'p', model: 'expensive-1', inputTokens: 2, outputTokens: 5 }),
+    2
+  );
+  assert.equal(calculateCost({ provider: 'p', model: 'free', inputTokens: 2 }), 0);
+});
+
+test('an exhausted budget is rejected with a non-retryable 403', async () => {
+  assert.deepEqual(checkBudget('ci', 'claude-sonnet-4'), { model: 'claude-sonnet-4' });
+  await recordUsage({
+    requestId: 'req_1',
+    client: 'ci',
+    requestedModel: 'claude-sonnet-4',
+    calls: [{ provider: 'p', model: 'expensive-1', inputTokens: 1 }]
+  });
+  assert.throws(() => checkBudget('ci', 'claude-sonnet-4'), {
+    status: 403,
+    retryAfter: null,
+    message: /daily budget of 1 USD exceeded/
+  });
+  assert.deepEqual(checkBudget('alice', 'claude-sonnet-4'), { model: 'claude-sonnet-4' });
+});
+
+test('a downgrade budget switches to the cheaper model', async () => {
+  await recordUsage({
+    requestId: 'req_2',
+    client: 'alice',
+    requestedModel: 'claude-opus-4',
+    calls: [{ provider: 'p', model: 'expensive-1', inputTokens: 1 }]
+  });
+  assert.deepEqual(checkBudget('alice', 'claude-opus-4'), {
+    model: 'claude-sonnet-4',
+    downgradedFrom: 'claude-opus-4'
+  });
+});
@@ -0,0 +1,119 @@
+import { logger } from './logger.mjs';
+
+/**
+ * 업스트림이 usage를 주지 않을 때 사용하는 로컬 토큰 추정기
+ */
+
+// 이미지 한 장당 대략적인 토큰 수 (base64 길이로 세면 과대 추정됨)
+const IMAGE_TOKENS = 1000;
+// 메시지마다 붙는 role / 구분자 오버헤드
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// 모델 계열별 토큰당 ASCII 문자 수 (TOKEN_ESTIMATE_RATIOS 환경변수로 덮어쓰기 가능)
+const DEFAULT_CHARS_PER_TOKEN = {
+  default: 4,
+  gpt: 4,
+  gemini: 4,
+  claude: 3.5,
+  deepseek: 3.3,
+  qwen: 3.3
+};
+
+/**
+ * 모델 이름에 해당하는 계열의 토큰당 문자 수
+ * 예: TOKEN_ESTIMATE_RATIOS='{"gemini":4.2,"llama":3.6}'
+ */
+export function getCharsPerToken(model) {
+  let ratios = DEFAULT_CHARS_PER_TOKEN;
+  if (process.env.TOKEN_ESTIMATE_RATIOS) {
+    try {
+      ratios = { ...DEFAULT_CHARS_PER_TOKEN, ...JSON.parse(process.env.TOKEN_ESTIMATE_RATIOS) };
+    } catch (e) {
+      logger.warn('invalid TOKEN_ESTIMATE_RATIOS', { error: e.message });
+    }
+  }
+  const name = String(model || '').toLowerCase();
+  const family = Object.keys(ratios).find(key => key !== 'default' && name.includes(key));
+  return ratios[family ?? 'default'] || DEFAULT_CHARS_PER_TOKEN.default;
+}
+
+/**
+ * 문자열 토큰 수 추정: ASCII는 charsPerToken자당 1토큰, 그 외(한글/CJK 등)는 1자당 1토큰
+ */
+export function estimateTokens(text, charsPerToken = DEFAULT_CHARS_PER_TOKEN.default) {
+  if (!text) return 0;
+  const str = typeof text === 'string' ? text : JSON.stringify(text);
+  let ascii = 0;
+  let other = 0;
+  for (const ch of str) {
+    if (ch.charCodeAt(0) < 128) {
+      ascii++;
+    } else {
+      other++;
+    }
+  }
+  return Math.ceil(ascii / charsPerToken) + other;
+}
+
+function estimateContentTokens(content, ratio) {
+  if (typeof content === 'string') return estimateTokens(content, ratio);
+  if (!Array.isArray(content)) return 0;
+  return content.reduce((sum, part) => {
+    if (part?.type === 'image_url' || part?.type === 'image') return sum + IMAGE_TOKENS;
+    if (part?.type === 'text') return sum + estimateTokens(part.text, ratio);
+    return sum + estimateTokens(part, ratio);
+  }, 0);
+}
+
+/**
+ * OpenAI 형식 요청(messages + tools)의 입력 토큰 수 추정
+ * @param {object} data OpenAI 형식 요청
+ * @param {string} [model] 비율을 고를 대상 업스트림 모델 (생략 시 data.model)
+ */
+export function estimateRequestTokens({ messages = [], tools = [], model: dataModel }, model) {
+  const ratio = getCharsPerToken(model ?? dataModel);
+  const messageTokens = messages.reduce(
+    (sum, msg) =>
+      sum +
+      MESSAGE_OVERHEAD_TOKENS +
+      estimateContentTokens(msg.content, ratio) +
+      (msg.tool_calls ? estimateTokens(msg.tool_calls, ratio) : 0),
+    0
+  );
+  return messageTokens + (tools?.length ? estimateTokens(tools, ratio) : 0);
+}
+
+/**
+ * Anthropic content 블록 배열의 출력 토큰 수 추정
+ */
+export function estimateOutputTokens(contentBlocks, model) {
+  const ratio = getCharsPerToken(model);
+  return contentBlocks.reduce((sum, block) => {
+    if (block.type === 'text') return sum + estimateTokens(block.text, ratio);
+    if (block.type === 'thinking') return sum + estimateTokens(block.thinking, ratio);
+    if (block.type === 'tool_use') return sum + estimateTokens(block.input, ratio) + 10;
+    return sum;
+  }, 0);
+}
+
+/**
+ * OpenAI 형식 usage 누적 (target을 직접 수정)
+ */
+export function addUsage(target, usage) {
+  if (!usage) return target;
+  target.prompt_tokens = (target.prompt_tokens || 0) + (usage.prompt_tokens || 0);
+  target.completion_tokens = (target.completion_tokens || 0) + (usage.completion_tokens || 0);
+  const cached = getCachedTokens(usage);
+  if (cached > 0) {
+    target.prompt_tokens_details = {
+      cached_tokens: getCachedTokens(target) + cached
+    };
+  }
+  return target;
+}
+
+/**
+ * 캐시 적중 토큰 수 (OpenAI: prompt_tokens_details.cached_tokens, DeepSeek: prompt_cache_hit_tokens)
+ */
+export function getCachedTokens(usage) {
+  return usage?.prompt_tokens_details?.cached_tokens ?? usage?.prompt_cache_hit_tokens ?? 0;
+}
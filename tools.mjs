@@ -0,0 +1,428 @@
+import { getConfig } from './config.mjs';
+import { patternToRegExp } from './models.mjs';
+import { downlevelSchema, readNumberEnv, repairJson } from './utils.mjs';
+import { logger } from './logger.mjs';
+
+/**
+ * 도구 이름 변환 / 도구 개수 제한 / 응답의 tool call 인자 검증
+ * (업스트림별 도구 JSON Schema 조정은 models.mjs의 adaptRequest)
+ *
+ * 설정 파일의 tools (없으면 환경변수 / 기본값)
+ *   tools:
+ *     limit: 64               # 업스트림으로 보낼 최대 도구 수 (TOOL_LIMIT)
+ *     selection: relevance    # 초과 시 first(앞에서부터) | relevance(대화와 관련 있는 도구 우선) (TOOL_SELECTION)
+ *     exclude: ['StickerRequest', 'mcp__slack__*']   # 보내지 않을 도구 이름 패턴
+ *     invalidArguments: retry # input_schema와 맞지 않는 인자 처리 (TOOL_INVALID_ARGUMENTS)
+ *                             # ignore(그대로 전달, 기본) | retry(모델에 한 번 다시 요청) | error(에러 응답)
+ *                             # retry / error면 tool call을 끝까지 받아 깨진 JSON을 복구한 뒤 검증
+ */
+
+const MAX_TOOL_NAME_LENGTH = 64;
+const DEFAULT_TOOL_LIMIT = 64;
+const DEFAULT_EXCLUDED_TOOLS = ['StickerRequest', 'UnusedFunction', 'DeprecatedTool'];
+
+/**
+ * 함수 이름 64자 제한, 허용 문자만 필터링, 첫 글자 영문/언더스코어 보장
+ */
+export function sanitizeToolName(name) {
+  return String(name)
+    .replace(/[^a-zA-Z0-9_.-]/g, '_') // 허용 문자만
+    .replace(/^[^a-zA-Z_]+/, '_') // 첫 글자 보정
+    .slice(0, MAX_TOOL_NAME_LENGTH); // 64자 제한
+}
+
+/**
+ * 요청 하나의 도구 이름 <-> 업스트림 함수 이름 양방향 매핑
+ * 변환한 이름이 겹치면 _2, _3 ... 을 붙여 구분하고, 응답의 tool_use 블록에는 원래 이름을 돌려줌
+ */
+export function createToolNameMap() {
+  const toUpstreamNames = new Map();
+  const toOriginalNames = new Map();
+  return {
+    /**
+     * 원래 이름에 해당하는 업스트림 함수 이름 (처음 보는 이름이면 새로 배정)
+     */
+    toUpstream(name) {
+      const original = String(name);
+      if (toUpstreamNames.has(original)) return toUpstreamNames.get(original);
+      const base = sanitizeToolName(original);
+      let upstreamName = base;
+      for (let suffix = 2; toOriginalNames.has(upstreamName); suffix++) {
+        upstreamName = `${base.slice(0, MAX_TOOL_NAME_LENGTH - String(suffix).length - 1)}_${suffix}`;
+      }
+      if (upstreamName !== original) {
+        logger.debug('tool name rewritten', { name: original, upstreamName });
+      }
+      toUpstreamNames.set(original, upstreamName);
+      toOriginalNames.set(upstreamName, original);
+      return upstreamName;
+    },
+    /**
+     * 이름 목록을 한 번에 등록 (바꿀 필요가 없는 이름을 먼저 배정)
+     */
+    register(names) {
+      const unchanged = names.filter(name => sanitizeToolName(name) === String(name));
+      const rewritten = names.filter(name => sanitizeToolName(name) !== String(name));
+      [...unchanged, ...rewritten].forEach(name => this.toUpstream(name));
+    },
+    /**
+     * 업스트림 함수 이름에 해당하는 원래 이름 (모르는 이름이면 그대로)
+     */
+    toOriginal(upstreamName) {
+      return toOriginalNames.get(upstreamName) ?? upstreamName;
+    }
+  };
+}
+
+/**
+ * 도구 개수 제한 / 선택 방식 / 제외 목록
+ * @returns {{ limit: number, selection: 'first' | 'relevance', exclude: string[] }}
+ */
+export function getToolOptions() {
+  const tools = getConfig().tools ?? {};
+  return {
+    limit: tools.limit ?? readNumberEnv('TOOL_LIMIT', DEFAULT_TOOL_LIMIT),
+    selection: tools.selection ?? process.env.TOOL_SELECTION ?? 'first',
+    exclude: tools.exclude ?? DEFAULT_EXCLUDED_TOOLS,
+    invalidArguments: tools.invalidArguments ?? process.env.TOOL_INVALID_ARGUMENTS ?? 'ignore'
+  };
+}
+
+function toWords(text) {
+  return String(text || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9가-힣]+/)
+    .filter(word => word.length >= 3);
+}
+
+function blockText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .map(block =>
+      block?.type === 'text' ? block.text : typeof block?.content === 'string' ? block.content : ''
+    )
+    .join(' ');
+}
+
+/**
+ * 대화에서 이미 사용한 도구 이름
+ */
+function getUsedToolNames(messages) {
+  const names = new Set();
+  for (const message of messages) {
+    if (!Array.isArray(message?.content)) continue;
+    for (const block of message.content) {
+      if (block?.type === 'tool_use' && block.name) names.add(block.name);
+    }
+  }
+  return names;
+}
+
+/**
+ * 최근 메시지와 겹치는 단어가 많은 도구부터 선택 (이미 사용했거나 tool_choice로 지정한 도구는 항상 포함)
+ */
+function selectRelevantTools(tools, { messages, toolChoice }, limit) {
+  const recentWords = new Set(
+    messages.slice(-4).flatMap(message => toWords(blockText(message?.content)))
+  );
+  const required = getUsedToolNames(messages);
+  if (toolChoice?.type === 'tool' && toolChoice.name) required.add(toolChoice.name);
+
+  const scored = tools.map((tool, index) => {
+    const words = new Set([...toWords(tool.name), ...toWords(tool.description)]);
+    const overlap = [...words].filter(word => recentWords.has(word)).length;
+    return { tool, index, score: required.has(tool.name) ? Infinity : overlap };
+  });
+  const selected = new Set(
+    [...scored]
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, limit)
+      .map(entry => entry.index)
+  );
+  // 선택한 도구는 원래 순서대로 전달
+  return scored.filter(entry => selected.has(entry.index)).map(entry => entry.tool);
+}
+
+/**
+ * 제외 목록을 거른 뒤 개수 제한을 넘으면 설정된 방식으로 도구를 고름
+ * @param {object[]} tools Anthropic tools
+ * @param {{ messages: object[], toolChoice?: object }} context 원래 요청의 messages / tool_choice
+ */
+export function selectTools(tools, context, options = getToolOptions()) {
+  const excluded = options.exclude.map(patternToRegExp);
+  const candidates = tools.filter(
+    tool =>
+      tool &&
+      typeof tool === 'object' &&
+      tool.name &&
+      !excluded.some(regExp => regExp.test(String(tool.name)))
+  );
+  if (candidates.length <= options.limit) return candidates;
+
+  const selected =
+    options.selection === 'relevance'
+      ? selectRelevantTools(candidates, context, options.limit)
+      : candidates.slice(0, options.limit);
+  const kept = new Set(selected);
+  logger.warn('too many tools, some were not sent upstream', {
+    count: candidates.length,
+    limit: options.limit,
+    selection: options.selection,
+    dropped: candidates.filter(tool => !kept.has(tool)).map(tool => tool.name)
+  });
+  return selected;
+}
+
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function isDeepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function joinToolPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+/**
+ * tool call 인자를 input_schema로 검증 (모델에 그대로 돌려줄 수 있도록 에러는 영어)
+ * 지원 키워드: type, enum, const, anyOf, oneOf, allOf, not,
+ *   properties, required, additionalProperties, patternProperties, minProperties, maxProperties,
+ *   items(스키마 / 배열), prefixItems, minItems, maxItems, uniqueItems,
+ *   minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf, minLength, maxLength, pattern
+ * 그 밖의 키워드(format, $ref로 치환되지 않은 참조 등)는 검사하지 않음
+ * @returns {string[]} 에러 메시지 목록 (없으면 빈 배열)
+ */
+export function validateToolInput(value, schema, path) {
+  if (schema === false) return [`${path}: is not allowed`];
+  if (!schema || typeof schema !== 'object') return [];
+  const actual = jsonType(value);
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some(
+      type => type === actual || (type === 'number' && actual === 'integer')
+    );
+    if (!matches) return [`${path}: must be ${types.join(' or ')} (got ${actual})`];
+  }
+  if (schema.enum && !schema.enum.some(item => isDeepEqual(item, value))) {
+    return [`${path}: must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`];
+  }
+  if (schema.const !== undefined && !isDeepEqual(schema.const, value)) {
+    return [`${path}: must be ${JSON.stringify(schema.const)}`];
+  }
+
+  const errors = [];
+  for (const subschema of schema.allOf ?? []) {
+    errors.push(...validateToolInput(value, subschema, path));
+  }
+  if (Array.isArray(schema.anyOf)) {
+    const results = schema.anyOf.map(subschema => validateToolInput(value, subschema, path));
+    if (!results.some(result => result.length === 0)) {
+      errors.push(`${path}: must match one of the allowed schemas (${results[0]?.[0] ?? ''})`);
+    }
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matched = schema.oneOf.filter(
+      subschema => validateToolInput(value, subschema, path).length === 0
+    ).length;
+    if (matched !== 1) {
+      errors.push(`${path}: must match exactly one of the allowed schemas (matched ${matched})`);
+    }
+  }
+  if (schema.not && validateToolInput(value, schema.not, path).length === 0) {
+    errors.push(`${path}: must not match the excluded schema`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+    }
+    if (
+      schema.multipleOf &&
+      Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9
+    ) {
+      errors.push(`${path}: must be a multiple of ${schema.multipleOf}`);
+    }
+  } else if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (typeof schema.pattern === 'string') {
+      let regExp = null;
+      try {
+        regExp = new RegExp(schema.pattern, 'u');
+      } catch {
+        // 자바스크립트 정규식으로 해석할 수 없는 pattern은 검사하지 않음
+      }
+      if (regExp && !regExp.test(value)) {
+        errors.push(`${path}: must match pattern ${schema.pattern}`);
+      }
+    }
+  } else if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (
+      schema.uniqueItems &&
+      new Set(value.map(item => JSON.stringify(item))).size !== value.length
+    ) {
+      errors.push(`${path}: items must be unique`);
+    }
+    const tuple = Array.isArray(schema.prefixItems)
+      ? schema.prefixItems
+      : Array.isArray(schema.items)
+        ? schema.items
+        : [];
+    const rest = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+    value.forEach((item, index) => {
+      const itemSchema = index < tuple.length ? tuple[index] : rest;
+      errors.push(...validateToolInput(item, itemSchema, joinToolPath(path, index)));
+    });
+  } else if (actual === 'object') {
+    const keys = Object.keys(value);
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) errors.push(`${joinToolPath(path, key)}: is required`);
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push(`${path}: must have at least ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      errors.push(`${path}: must have at most ${schema.maxProperties} properties`);
+    }
+    const patterns = Object.entries(schema.patternProperties ?? {}).flatMap(
+      ([pattern, subschema]) => {
+        try {
+          return [[new RegExp(pattern, 'u'), subschema]];
+        } catch {
+          return [];
+        }
+      }
+    );
+    for (const key of keys) {
+      const keyPath = joinToolPath(path, key);
+      const propertySchema = schema.properties?.[key];
+      const matchedPatterns = patterns.filter(([regExp]) => regExp.test(key));
+      if (propertySchema !== undefined) {
+        errors.push(...validateToolInput(value[key], propertySchema, keyPath));
+      }
+      for (const [, subschema] of matchedPatterns) {
+        errors.push(...validateToolInput(value[key], subschema, keyPath));
+      }
+      if (propertySchema === undefined && matchedPatterns.length === 0) {
+        if (schema.additionalProperties === false) {
+          errors.push(`${keyPath}: is not an allowed property`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          errors.push(...validateToolInput(value[key], schema.additionalProperties, keyPath));
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * 요청 tools의 이름 -> 검증용 input_schema ($ref는 미리 치환)
+ * @param {object[]} tools Anthropic tools
+ * @returns {Map<string, object>}
+ */
+export function getToolSchemas(tools) {
+  return new Map(
+    (Array.isArray(tools) ? tools : [])
+      .filter(tool => tool?.name)
+      .map(tool => [
+        tool.name,
+        downlevelSchema(tool.input_schema ?? { type: 'object' }, { inlineRefs: true })
+      ])
+  );
+}
+
+/**
+ * 모델이 보낸 tool call 인자를 파싱(깨진 JSON은 복구)하고 input_schema로 검증
+ * @param {string} name 원래 도구 이름
+ * @param {string} json 누적된 arguments 문자열
+ * @param {Map<string, object>} [schemas] getToolSchemas 결과 (없으면 검증하지 않음)
+ * @returns {{ input: object, repaired: boolean, errors: string[] }}
+ */
+export function checkToolArguments(name, json, schemas) {
+  let input = {};
+  let repaired = false;
+  if (json.trim()) {
+    try {
+      input = JSON.parse(json);
+    } catch {
+      try {
+        input = repairJson(json);
+        repaired = true;
+      } catch {
+        return { input: {}, repaired, errors: [`${name}: arguments are not valid JSON`] };
+      }
+    }
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { input: {}, repaired, errors: [`${name}: arguments must be a JSON object`] };
+  }
+  if (!schemas || schemas.size === 0) return { input, repaired, errors: [] };
+  if (!schemas.has(name)) {
+    return { input, repaired, errors: [`${name}: no tool with this name was provided`] };
+  }
+  return { input, repaired, errors: validateToolInput(input, schemas.get(name), name) };
+}
+
+/**
+ * 인자가 잘못된 tool call을 모델에 돌려주어 다시 호출하게 하는 교정 요청
+ * 같은 턴의 다른 tool call은 실행하지 않았으므로 함께 다시 보내도록 안내
+ * @param {object} data 원래 OpenAI 요청
+ * @param {{ upstreamId: string, upstreamName: string, json: string, errors: string[] }[]} toolCalls 이번 응답의 모든 tool call
+ */
+export function buildCorrectionRequest(data, toolCalls) {
+  const calls = toolCalls.map((call, index) => ({
+    ...call,
+    upstreamId: call.upstreamId || `call_correction_${index}`
+  }));
+  return {
+    ...data,
+    messages: [
+      ...data.messages,
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: calls.map(call => ({
+          id: call.upstreamId,
+          type: 'function',
+          function: { name: call.upstreamName, arguments: call.json }
+        }))
+      },
+      ...calls.map(call => ({
+        role: 'tool',
+        tool_call_id: call.upstreamId,
+        content:
+          call.errors.length > 0
+            ? `Error: the arguments do not match the tool's input schema.\n${call.errors.map(error => `- ${error}`).join('\n')}\nCall the tool again with valid JSON arguments that match the schema.`
+            : 'Not executed because another tool call in this turn had invalid arguments. Call it again.'
+      }))
+    ]
+  };
+}
@@ -5,12 +5,51 @@ unset OPENAI_MODEL
 unset TOOL_AGENT_API_KEY
 unset TOOL_AGENT_BASE_URL
 unset TOOL_AGENT_MODEL
+unset TOOL_AGENT_REASONING_FORMAT
+unset TOOL_AGENT_FALLBACKS
 unset CODER_AGENT_API_KEY
 unset CODER_AGENT_BASE_URL
 unset CODER_AGENT_MODEL
+unset CODER_AGENT_REASONING_FORMAT
+unset CODER_AGENT_FALLBACKS
 unset THINK_AGENT_API_KEY
 unset THINK_AGENT_BASE_URL
 unset THINK_AGENT_MODEL
+unset THINK_AGENT_REASONING_FORMAT
+unset THINK_AGENT_FALLBACKS
 unset ROUTER_AGENT_API_KEY
 unset ROUTER_AGENT_BASE_URL
 unset ROUTER_AGENT_MODEL
+unset ROUTER_AGENT_REASONING_FORMAT
+unset ROUTER_AGENT_FALLBACKS
+unset PROVIDERS
+unset MODEL_MAP
+unset ROUTER_RULES
+unset ROUTER_MAX_HOPS
+unset ROUTER_MAX_REPEATS
+unset CONFIG_FILE
+unset PORT
+unset HOST
+unset BODY_LIMIT
+unset PROXY_API_KEYS
+unset LOG_LEVEL
+unset USAGE_FILE
+unset READYZ_PROBE_UPSTREAMS
+unset READYZ_TIMEOUT_MS
+unset UPSTREAM_CONCURRENCY
+unset UPSTREAM_RPM
+unset UPSTREAM_TPM
+unset UPSTREAM_MAX_RETRIES
+unset UPSTREAM_RETRY_BASE_MS
+unset UPSTREAM_LIMITS
+unset UPSTREAM_CONNECT_TIMEOUT_MS
+unset UPSTREAM_FIRST_TOKEN_TIMEOUT_MS
+unset UPSTREAM_IDLE_TIMEOUT_MS
+unset PING_INTERVAL_MS
+unset TOKEN_ESTIMATE_RATIOS
+unset IMAGE_ALLOWED_DIRS
+unset IMAGE_MAX_FILE_BYTES
+unset VISION_MODEL
+unset TOOL_LIMIT
+unset TOOL_SELECTION
+unset TOOL_INVALID_ARGUMENTS
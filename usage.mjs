@@ -0,0 +1,314 @@
+import { createReadStream, existsSync } from 'fs';
+import { appendFile } from 'fs/promises';
+import { resolve } from 'path';
+import { createInterface } from 'readline';
+import { getConfig } from './config.mjs';
+import { patternToRegExp } from './models.mjs';
+import { RequestError } from './errors.mjs';
+import { logger } from './logger.mjs';
+
+/**
+ * 요청별 토큰 사용량 / 비용 기록과 클라이언트 키 / 모델별 예산
+ *
+ * 업스트림 호출 하나(라우터 모드는 hop별 라우터 / 에이전트 호출)마다 JSONL 한 줄을 기록
+ *   {"time":"...","requestId":"req_...","client":"alice","requestedModel":"claude-sonnet-4","agent":"coder",
+ *    "provider":"deepseek","model":"deepseek-chat","inputTokens":1200,"cachedTokens":800,"outputTokens":300,"cost":0.0012}
+ * 기록 파일: 설정 파일의 usage.file > USAGE_FILE > ./usage.jsonl (시작할 때 읽어서 합계를 복원)
+ *
+ * 설정 파일의 pricing: 모델 이름 또는 provider/model 패턴(* 와일드카드) -> 100만 토큰당 USD, 위에서부터 먼저 매칭
+ *   pricing:
+ *     deepseek-chat: { input: 0.27, cachedInput: 0.07, output: 1.1 }
+ *     '*gemini-2.5-pro*': { input: 1.25, output: 10 }
+ * 설정 파일의 budgets: 클라이언트 키 이름 / 요청된 모델 패턴별 일간 / 월간 예산(USD, UTC 기준)
+ *   budgets:
+ *     - { client: ci, daily: 5, monthly: 50 }                                   # 초과하면 403으로 거절
+ *     - { model: '*opus*', daily: 20, action: downgrade, downgradeTo: claude-sonnet-4 }  # 초과하면 모델 변경
+ */
+
+const DEFAULT_USAGE_FILE = 'usage.jsonl';
+const MILLION = 1_000_000;
+
+// `${day}\t${client}\t${requestedModel}\t${agent}\t${provider}/${model}` -> 합계
+const totals = new Map();
+// 예산이 걸려 있지만 pricing이 없어 비용이 0으로 기록된 provider/model (한 번만 경고)
+const unpricedWarned = new Set();
+
+/**
+ * 사용량 기록 파일 경로
+ */
+export function getUsageFile() {
+  return resolve(getConfig().usage?.file || process.env.USAGE_FILE || DEFAULT_USAGE_FILE);
+}
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, cachedTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+function addTotals(target, record) {
+  target.calls += record.calls ?? 1;
+  target.inputTokens += record.inputTokens || 0;
+  target.cachedTokens += record.cachedTokens || 0;
+  target.outputTokens += record.outputTokens || 0;
+  target.cost += record.cost || 0;
+  return target;
+}
+
+function aggregate(record) {
+  const key = [
+    record.time.slice(0, 10),
+    record.client ?? '',
+    record.requestedModel ?? '',
+    record.agent ?? '',
+    `${record.provider}/${record.model}`
+  ].join('\t');
+  if (!totals.has(key)) totals.set(key, emptyTotals());
+  addTotals(totals.get(key), record);
+}
+
+/**
+ * 기록 파일을 읽어 합계 복원 (서버 시작 시 한 번)
+ */
+export async function loadUsage() {
+  const file = getUsageFile();
+  if (!existsSync(file)) return;
+  const lines = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+  let count = 0;
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      aggregate(JSON.parse(line));
+      count++;
+    } catch (e) {
+      logger.warn('invalid usage record', { file, error: e.message });
+    }
+  }
+  logger.info('usage records loaded', { file, records: count });
+}
+
+/**
+ * 업스트림 모델의 100만 토큰당 가격 (없으면 null)
+ * @returns {{ input: number, output: number, cachedInput?: number } | null}
+ */
+export function getPrice(provider, model) {
+  const pricing = getConfig().pricing ?? {};
+  const key = Object.keys(pricing).find(pattern => {
+    const regExp = patternToRegExp(pattern);
+    return regExp.test(String(model)) || regExp.test(`${provider}/${model}`);
+  });
+  return key ? pricing[key] : null;
+}
+
+/**
+ * 호출 하나의 비용(USD), inputTokens는 캐시 적중을 제외한 입력 토큰
+ */
+export function calculateCost({
+  provider,
+  model,
+  inputTokens = 0,
+  cachedTokens = 0,
+  outputTokens = 0
+}) {
+  const price = getPrice(provider, model);
+  if (!price) return 0;
+  return (
+    (inputTokens * (price.input ?? 0) +
+      cachedTokens * (price.cachedInput ?? price.input ?? 0) +
+      outputTokens * (price.output ?? 0)) /
+    MILLION
+  );
+}
+
+function splitUpstream(upstream) {
+  const index = String(upstream).indexOf('/');
+  return index === -1
+    ? { provider: undefined, model: upstream }
+    : { provider: upstream.slice(0, index), model: upstream.slice(index + 1) };
+}
+
+/**
+ * 라우팅 trace의 hop별 라우터 / 에이전트 호출을 사용량 기록용 호출 목록으로 변환
+ * 업스트림이 usage를 주지 않은 최종 hop은 전체 usage(로컬 추정 포함)에서 나머지 hop을 뺀 값을 사용
+ * @param {{ hops: object[] }} trace
+ * @param {{ input_tokens: number, output_tokens: number, cache_read_input_tokens?: number }} usage 응답 전체 usage
+ */
+export function callsFromTrace(trace, usage) {
+  const calls = [];
+  for (const hop of trace.hops) {
+    if (hop.router) {
+      calls.push({
+        agent: 'router',
+        ...splitUpstream(hop.router.model),
+        inputTokens: hop.router.tokens.prompt_tokens,
+        outputTokens: hop.router.tokens.completion_tokens
+      });
+    }
+    if (hop.agent && hop.model) {
+      calls.push({
+        agent: hop.agent,
+        ...splitUpstream(hop.model),
+        inputTokens: hop.tokens?.prompt_tokens ?? 0,
+        outputTokens: hop.tokens?.completion_tokens ?? 0
+      });
+    }
+  }
+  const last = calls[calls.length - 1];
+  if (last && last.agent !== 'router' && !last.inputTokens && !last.outputTokens) {
+    const others = calls.slice(0, -1).reduce((sum, call) => addTotals(sum, call), emptyTotals());
+    last.inputTokens = Math.max(
+      0,
+      usage.input_tokens + (usage.cache_read_input_tokens || 0) - others.inputTokens
+    );
+    last.outputTokens = Math.max(0, usage.output_tokens - others.outputTokens);
+  }
+  return calls;
+}
+
+/**
+ * 요청 하나의 사용량을 기록하고 합계에 반영
+ * @param {{ requestId: string, client: string, requestedModel: string, calls: object[] }} request
+ * @returns {Promise<object[]>} 기록한 레코드
+ */
+export async function recordUsage({ requestId, client, requestedModel, calls }) {
+  const time = new Date().toISOString();
+  const records = calls.map(call => {
+    const record = {
+      time,
+      requestId,
+      client,
+      requestedModel,
+      agent: call.agent ?? null,
+      provider: call.provider,
+      model: call.model,
+      inputTokens: call.inputTokens || 0,
+      cachedTokens: call.cachedTokens || 0,
+      outputTokens: call.outputTokens || 0
+    };
+    record.cost = calculateCost(record);
+    warnIfUnpriced(record);
+    return record;
+  });
+  records.forEach(aggregate);
+  if (records.length === 0) return records;
+  try {
+    await appendFile(
+      getUsageFile(),
+      records.map(record => JSON.stringify(record)).join('\n') + '\n'
+    );
+  } catch (e) {
+    logger.error('writing usage records failed', { file: getUsageFile(), error: e.message });
+  }
+  return records;
+}
+
+/**
+ * 조건에 맞는 기록의 합계
+ * @param {{ from?: string, to?: string, client?: string, requestedModel?: string }} filter
+ *   from / to: YYYY-MM-DD (포함), requestedModel: 요청된 모델 패턴
+ * @param {(key: { day: string, client: string, requestedModel: string, agent: string, upstream: string }) => string} [groupBy]
+ */
+function sumUsage(filter, groupBy) {
+  const modelPattern = filter.requestedModel ? patternToRegExp(filter.requestedModel) : null;
+  const groups = {};
+  const total = emptyTotals();
+  for (const [key, value] of totals) {
+    const [day, client, requestedModel, agent, upstream] = key.split('\t');
+    if (filter.from && day < filter.from) continue;
+    if (filter.to && day > filter.to) continue;
+    if (filter.client && client !== filter.client) continue;
+    if (modelPattern && !modelPattern.test(requestedModel)) continue;
+    addTotals(total, value);
+    if (groupBy) {
+      const group = groupBy({ day, client, requestedModel, agent, upstream }) || '(none)';
+      groups[group] ??= emptyTotals();
+      addTotals(groups[group], value);
+    }
+  }
+  return { total, groups };
+}
+
+/**
+ * /usage 응답: 기간 내 합계와 모델 / 에이전트 / 날짜 / 클라이언트별 합계
+ */
+export function summarizeUsage(filter = {}) {
+  return {
+    from: filter.from ?? null,
+    to: filter.to ?? null,
+    client: filter.client ?? null,
+    total: sumUsage(filter).total,
+    byModel: sumUsage(filter, key => key.upstream).groups,
+    byAgent: sumUsage(filter, key => key.agent).groups,
+    byDay: sumUsage(filter, key => key.day).groups,
+    byClient: sumUsage(filter, key => key.client).groups
+  };
+}
+
+/**
+ * 예산이 클라이언트 / 요청된 모델에 적용되는지
+ */
+function budgetApplies(budget, client, requestedModel) {
+  if (budget.client && budget.client !== client) return false;
+  return !budget.model || patternToRegExp(budget.model).test(String(requestedModel || ''));
+}
+
+/**
+ * 가격이 없는 모델은 비용이 0으로 기록되어 예산에 반영되지 않으므로 예산이 걸린 요청이면 경고
+ */
+function warnIfUnpriced(record) {
+  const upstream = `${record.provider}/${record.model}`;
+  if (unpricedWarned.has(upstream) || getPrice(record.provider, record.model)) return;
+  const budgets = getConfig().budgets ?? [];
+  if (!budgets.some(budget => budgetApplies(budget, record.client, record.requestedModel))) return;
+  unpricedWarned.add(upstream);
+  logger.warn('budgeted request used a model without pricing, its cost is recorded as 0', {
+    upstream,
+    client: record.client,
+    requestedModel: record.requestedModel
+  });
+}
+
+/**
+ * 클라이언트 / 요청된 모델에 적용되는 예산을 확인
+ * 초과한 예산이 reject면 403(클라이언트가 자동 재시도하지 않도록 permission_error), downgrade면 downgradeTo 모델로 변경
+ * @returns {{ model: string, downgradedFrom?: string }} 실제로 사용할 요청 모델
+ */
+export function checkBudget(client, requestedModel) {
+  const now = new Date();
+  const today = now.toISOString().slice(0, 10);
+  const monthStart = `${today.slice(0, 7)}-01`;
+  let model = String(requestedModel || '');
+  let downgradedFrom;
+
+  for (const budget of getConfig().budgets ?? []) {
+    if (!budgetApplies(budget, client, model)) continue;
+
+    const filter = { client: budget.client, requestedModel: budget.model };
+    const exceeded = [
+      [
+        'daily',
+        today,
+        new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+      ],
+      ['monthly', monthStart, new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))]
+    ].find(
+      ([period, from]) =>
+        budget[period] !== undefined && sumUsage({ ...filter, from }).total.cost >= budget[period]
+    );
+    if (!exceeded) continue;
+
+    const [period, , resetAt] = exceeded;
+    logger.warn('budget exceeded', {
+      budget: { client: budget.client, model: budget.model, [period]: budget[period] },
+      action: budget.action ?? 'reject'
+    });
+    if (budget.action === 'downgrade' && budget.downgradeTo && budget.downgradeTo !== model) {
+      downgradedFrom ??= model;
+      model = budget.downgradeTo;
+      continue;
+    }
+    throw new RequestError(
+      403,
+      `${period} budget of ${budget[period]} USD exceeded, resets at ${resetAt.toISOString()}`
+    );
+  }
+  return downgradedFrom ? { model, downgradedFrom } : { model };
+}
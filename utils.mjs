@@ -1,13 +1,24 @@
 import { HttpsProxyAgent } from 'https-proxy-agent';
 
 export function getOpenAICommonOptions() {
-  const options = {};
+  // 재시도는 limiter.mjs의 callWithLimits에서 처리
+  const options = { maxRetries: 0 };
   if (process.env.PROXY_URL) {
     options.httpAgent = new HttpsProxyAgent(process.env.PROXY_URL);
   }
   return options;
 }
 
+/**
+ * 숫자 환경변수 읽기 (없거나 숫자가 아니면 fallback)
+ */
+export function readNumberEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && process.env[name] !== '' && process.env[name] !== undefined
+    ? value
+    : fallback;
+}
+
 /**
  * 순수 JSON만 남기고 undefined, 함수, Symbol, 순환 참조, [Object] 등 직렬화 불가 값 제거
  */
@@ -69,3 +80,156 @@ export function sanitizeJson(obj, seen = new WeakSet()) {
   }
   return result;
 }
+
+// 스키마를 값으로 갖는 키워드 (하위 스키마를 찾을 때 사용)
+const SCHEMA_KEYWORDS = ['items', 'additionalProperties', 'not', 'contains', 'if', 'then', 'else'];
+const SCHEMA_LIST_KEYWORDS = ['anyOf', 'oneOf', 'allOf', 'prefixItems'];
+const SCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', '$defs', 'definitions'];
+
+/**
+ * '#/$defs/Name' 같은 문서 내부 참조를 찾음
+ */
+function resolvePointer(root, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#/')) return undefined;
+  return ref
+    .slice(2)
+    .split('/')
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), root);
+}
+
+function mapSubschemas(schema, fn) {
+  const result = { ...schema };
+  for (const keyword of SCHEMA_KEYWORDS) {
+    if (result[keyword] && typeof result[keyword] === 'object' && !Array.isArray(result[keyword])) {
+      result[keyword] = fn(result[keyword]);
+    }
+  }
+  if (Array.isArray(result.items)) result.items = result.items.map(fn);
+  for (const keyword of SCHEMA_LIST_KEYWORDS) {
+    if (Array.isArray(result[keyword])) result[keyword] = result[keyword].map(fn);
+  }
+  for (const keyword of SCHEMA_MAP_KEYWORDS) {
+    if (result[keyword] && typeof result[keyword] === 'object') {
+      result[keyword] = Object.fromEntries(
+        Object.entries(result[keyword]).map(([key, value]) => [key, fn(value)])
+      );
+    }
+  }
+  return result;
+}
+
+/**
+ * $ref를 참조하는 스키마로 치환 (순환 참조는 { type: 'object' }로 끊음)
+ */
+function inlineRefs(schema, root, seen = []) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return schema;
+  if (typeof schema.$ref === 'string') {
+    const { $ref: ref, ...siblings } = schema;
+    const target = resolvePointer(root, ref);
+    // 찾을 수 없는 참조(외부 문서 등)는 제거
+    if (target === undefined) return inlineRefs(siblings, root, seen);
+    if (seen.includes(ref)) return { type: 'object', ...siblings };
+    return inlineRefs({ ...target, ...siblings }, root, [...seen, ref]);
+  }
+  return mapSubschemas(schema, child => inlineRefs(child, root, seen));
+}
+
+function removeKeywords(schema, keywords) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return schema;
+  const result = mapSubschemas(schema, child => removeKeywords(child, keywords));
+  for (const keyword of keywords) delete result[keyword];
+  return result;
+}
+
+/**
+ * JSON Schema를 일부 키워드만 지원하는 업스트림에 맞게 단순화
+ * inlineRefs: 문서 내부 $ref를 $defs / definitions 내용으로 치환하고 $defs / definitions 제거
+ * removeKeywords: 모든 하위 스키마에서 제거할 키워드 (properties 안의 속성 이름은 지우지 않음)
+ * @param {object} schema
+ * @param {{ inlineRefs?: boolean, removeKeywords?: string[] }} options
+ */
+export function downlevelSchema(
+  schema,
+  { inlineRefs: shouldInline = false, removeKeywords: keywords = [] } = {}
+) {
+  if (!schema || typeof schema !== 'object') return schema;
+  let result = schema;
+  if (shouldInline) {
+    result = inlineRefs(result, schema);
+    delete result.$defs;
+    delete result.definitions;
+  }
+  if (keywords.length > 0) {
+    result = removeKeywords(result, keywords);
+  }
+  return result;
+}
+
+/**
+ * 모델이 만든 깨진 JSON을 복구하여 파싱
+ * 코드 블록(```json), 작은따옴표 문자열, 문자열 안의 줄바꿈, 닫는 괄호 앞의 쉼표를 처리
+ * 중간에 끊긴 JSON(열린 문자열 / 괄호)은 그럴듯하지만 틀린 값이 되므로 복구하지 않음
+ * @param {string} text
+ * @returns {unknown} 파싱된 값 (복구할 수 없거나 끊긴 JSON이면 SyntaxError)
+ */
+export function repairJson(text) {
+  const source = String(text)
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+  try {
+    return JSON.parse(source);
+  } catch {
+    // 아래에서 복구
+  }
+
+  let output = '';
+  let quote = null;
+  const closers = [];
+  const dropTrailingComma = () => {
+    output = output.replace(/,\s*$/, '');
+  };
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === '\\') {
+        const next = source[i + 1];
+        if (next === undefined) break;
+        // 작은따옴표 문자열의 \'는 JSON에서 그냥 '
+        output += next === "'" ? "'" : char + next;
+        i++;
+      } else if (char === quote) {
+        output += '"';
+        quote = null;
+      } else if (char === '"') {
+        output += '\\"';
+      } else if (char === '\n') {
+        output += '\\n';
+      } else if (char === '\r') {
+        output += '\\r';
+      } else if (char === '\t') {
+        output += '\\t';
+      } else {
+        output += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      output += '"';
+    } else if (char === '{' || char === '[') {
+      closers.push(char === '{' ? '}' : ']');
+      output += char;
+    } else if (char === '}' || char === ']') {
+      dropTrailingComma();
+      closers.pop();
+      output += char;
+    } else {
+      output += char;
+    }
+  }
+
+  if (quote || closers.length > 0) {
+    throw new SyntaxError('Unexpected end of JSON input (truncated)');
+  }
+  return JSON.parse(output);
+}